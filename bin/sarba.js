@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+/**
+ * Headless Command-Line Runner for SARBA Simulator
+ *
+ * @description Assembles a Mano assembly file and runs it outside the browser
+ * using the same core modules as index.html. INP characters come from a file
+ * or from piped stdin; OUT characters are written to stdout. INCLUDE files
+ * are read from the directory of the program file.
+ *
+ * With -o a single module is written as an object file instead. Several
+ * files, or any .obj file, are linked into one image before running; .asm
+ * files among them are assembled as object modules first.
+ *
+ * Usage: node bin/sarba.js [options] <program.asm | module.asm|.obj ...>
+ *
+ * Exit codes:
+ *   0 - program halted (HLT)
+ *   1 - usage error, unreadable file or assembly errors
+ *   2 - cycle limit reached before HLT
+ *   3 - INP executed with no input left
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Core modules reference each other as globals, like the browser scripts do
+global.Utils = require('../js/utils/helpers.js');
+global.Assembler = require('../js/core/assembler.js');
+Object.assign(global, require('../js/core/devices.js'));
+const Memory = require('../js/core/memory.js');
+const Analyzer = require('../js/core/analyzer.js');
+const Linker = require('../js/core/linker.js');
+const CPU = require('../js/core/cpu.js');
+const Profiler = require('../js/core/profiler.js');
+
+const EXIT_HALTED = 0;
+const EXIT_ERROR = 1;
+const EXIT_TIMEOUT = 2;
+const EXIT_NO_INPUT = 3;
+
+const USAGE = `Usage: node bin/sarba.js [options] <program.asm | module.asm|.obj ...>
+
+Options:
+  -i, --input <file>       Read INP characters from <file> (default: piped stdin)
+      --newline <mode>     Send line ends in the input as lf, cr or crlf (default: as they are)
+      --eof <hex>          Send character <hex> after the last input character
+  -c, --max-cycles <n>     Stop after <n> micro-operations (default: 1000000)
+  -l, --output-latency <n> Cycles the output device stays busy after OUT (default: 1)
+      --io-page            Map the device registers into FF0-FFF (default: only if
+                           an instruction addresses that page)
+  -t, --trace              Print every micro-operation to stderr
+  -p, --profile            Print an execution profile to stderr
+      --listing <file>     Write the assembler listing and symbol table to <file>
+  -o, --object <file>      Assemble one module to object file <file> and exit
+      --load <hex>         Link relocatable modules from address <hex> (default: 100)
+      --entry <symbol>     Start the linked program at exported <symbol>
+      --map <file>         Write the link map to <file>
+  -q, --quiet              Do not print analysis warnings or the final register summary
+  -h, --help               Show this help`;
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ * @throws {Error} On unknown options or missing values
+ */
+function parseArgs(argv) {
+    const opts = {
+        files: [],
+        input: null,
+        newline: 'keep',
+        eof: null,
+        maxCycles: 1000000,
+        outputLatency: 1,
+        ioPage: false,
+        trace: false,
+        profile: false,
+        listing: null,
+        object: null,
+        loadAddress: Linker.DEFAULT_LOAD_ADDRESS,
+        entry: null,
+        map: null,
+        quiet: false,
+        help: false
+    };
+
+    const valueOf = (i, name) => {
+        if (i >= argv.length) throw new Error(`Option ${name} requires a value`);
+        return argv[i];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-i':
+            case '--input':
+                opts.input = valueOf(++i, arg);
+                break;
+            case '--newline':
+                opts.newline = valueOf(++i, arg).toLowerCase();
+                if (!Utils.NEWLINES.hasOwnProperty(opts.newline) && opts.newline !== 'keep') {
+                    throw new Error(`Invalid newline mode '${argv[i]}' (lf, cr, crlf or keep)`);
+                }
+                break;
+            case '--eof':
+                opts.eof = parseInt(valueOf(++i, arg), 16);
+                if (!/^[0-9A-Fa-f]{1,2}$/.test(argv[i])) {
+                    throw new Error(`Invalid end-of-input character '${argv[i]}' (00-FF)`);
+                }
+                break;
+            case '-c':
+            case '--max-cycles':
+                opts.maxCycles = parseInt(valueOf(++i, arg), 10);
+                if (isNaN(opts.maxCycles) || opts.maxCycles <= 0) {
+                    throw new Error(`Invalid cycle limit '${argv[i]}'`);
+                }
+                break;
+            case '-l':
+            case '--output-latency':
+                opts.outputLatency = parseInt(valueOf(++i, arg), 10);
+                if (isNaN(opts.outputLatency) || opts.outputLatency < 0) {
+                    throw new Error(`Invalid output latency '${argv[i]}'`);
+                }
+                break;
+            case '--io-page':
+                opts.ioPage = true;
+                break;
+            case '-t':
+            case '--trace':
+                opts.trace = true;
+                break;
+            case '-p':
+            case '--profile':
+                opts.profile = true;
+                break;
+            case '--listing':
+                opts.listing = valueOf(++i, arg);
+                break;
+            case '-o':
+            case '--object':
+                opts.object = valueOf(++i, arg);
+                break;
+            case '--load':
+                opts.loadAddress = parseInt(valueOf(++i, arg), 16);
+                if (!/^[0-9A-Fa-f]{1,3}$/.test(argv[i])) {
+                    throw new Error(`Invalid load address '${argv[i]}' (000-FFF)`);
+                }
+                break;
+            case '--entry':
+                opts.entry = valueOf(++i, arg).toUpperCase();
+                break;
+            case '--map':
+                opts.map = valueOf(++i, arg);
+                break;
+            case '-q':
+            case '--quiet':
+                opts.quiet = true;
+                break;
+            case '-h':
+            case '--help':
+                opts.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option '${arg}'`);
+                opts.files.push(arg);
+        }
+    }
+    return opts;
+}
+
+/**
+ * Assembles a source file, reading INCLUDE files from its directory
+ * @param {string} file - Path of the .asm file
+ * @param {Object} [options] - Extra Assembler.assemble() options
+ * @returns {{source: string, name: string, asm: Object}} Source, file name and assembly result
+ */
+function assembleFile(file, options = {}) {
+    const source = fs.readFileSync(file, 'utf8');
+    const name = path.basename(file);
+
+    const dir = path.dirname(file);
+    const readFile = (include) => {
+        try {
+            return fs.readFileSync(path.resolve(dir, include), 'utf8');
+        } catch (e) {
+            return null;
+        }
+    };
+    return { source, name, asm: Assembler.assemble(source, { ...options, fileName: name, readFile }) };
+}
+
+/**
+ * Links several modules into one program
+ * @param {Object} opts - Parsed options
+ * @returns {?{machineCode: Object, startAddress: number}} Linked program, or
+ *          null after printing the errors
+ */
+function linkFiles(opts) {
+    const objects = [];
+    let failed = false;
+    opts.files.forEach(file => {
+        if (path.extname(file).toLowerCase() === '.obj') {
+            const obj = Linker.parse(fs.readFileSync(file, 'utf8'));
+            objects.push({ ...obj, name: path.basename(file) });
+            return;
+        }
+        const { asm } = assembleFile(file, { object: true });
+        if (!asm.success) {
+            asm.errors.forEach(err => process.stderr.write(`${err}\n`));
+            failed = true;
+            return;
+        }
+        objects.push(asm.object);
+    });
+    if (failed) return null;
+
+    const linked = Linker.link(objects, { loadAddress: opts.loadAddress, entry: opts.entry });
+    if (opts.map) {
+        fs.writeFileSync(opts.map, Linker.formatMap(linked));
+    }
+    if (!linked.success) {
+        linked.errors.forEach(err => process.stderr.write(`${err}\n`));
+        return null;
+    }
+    return linked;
+}
+
+/**
+ * Reads the INP character stream
+ * @param {?string} inputFile - File name, or null to use piped stdin
+ * @param {Object} options - Utils.encodeInput() options (newline, eof)
+ * @returns {number[]} Character codes
+ */
+function readInput(inputFile, options) {
+    let buf = Buffer.alloc(0);
+    if (inputFile) {
+        buf = fs.readFileSync(inputFile);
+    } else if (!process.stdin.isTTY) {
+        try {
+            buf = fs.readFileSync(0);
+        } catch (e) {
+            // Non-blocking stdin with nothing piped in: treat as no input
+            if (e.code !== 'EAGAIN' && e.code !== 'EOF') throw e;
+        }
+    }
+    // latin1 maps every byte to one character, so the bytes pass through unchanged
+    return Utils.encodeInput(buf.toString('latin1'), options).codes;
+}
+
+/**
+ * Assembles (or links) and runs a program
+ * @param {Object} opts - Parsed options
+ * @returns {number} Process exit code
+ */
+function run(opts) {
+    const name = path.basename(opts.files[0]);
+    const linking = opts.files.length > 1 || opts.files.some(file => path.extname(file).toLowerCase() === '.obj');
+    if ((linking || opts.object) && opts.listing) {
+        throw new Error('--listing needs a single .asm program');
+    }
+
+    const bus = new IOBus();
+    let program;
+    if (opts.object) {
+        if (linking) throw new Error('--object needs a single .asm module');
+        const { asm } = assembleFile(opts.files[0], { object: true });
+        if (!asm.success) {
+            asm.errors.forEach(err => process.stderr.write(`${err}\n`));
+            return EXIT_ERROR;
+        }
+        fs.writeFileSync(opts.object, JSON.stringify(asm.object, null, 2) + '\n');
+        return EXIT_HALTED;
+    } else if (linking) {
+        program = linkFiles(opts);
+        if (!program) return EXIT_ERROR;
+        bus.ioPage = opts.ioPage || Analyzer.usesIOPage(program);
+    } else {
+        // Errors carry their own file:line prefix
+        const { source, asm } = assembleFile(opts.files[0]);
+        if (opts.listing) {
+            fs.writeFileSync(opts.listing, Assembler.formatListing(source, asm, name));
+        }
+        if (!asm.success) {
+            asm.errors.forEach(err => process.stderr.write(`${err}\n`));
+            return EXIT_ERROR;
+        }
+
+        bus.ioPage = opts.ioPage || Analyzer.usesIOPage(asm);
+        if (!opts.quiet) {
+            Analyzer.analyze(asm, bus).forEach(f => {
+                // Same file:line prefix as assembly errors
+                const where = f.line ? `${f.file || name}:${f.line}` : name;
+                process.stderr.write(`${where}: ${f.severity}: ${f.line ? f.message : Analyzer.format(f)}\n`);
+            });
+        }
+        program = asm;
+    }
+
+    const inputQueue = readInput(opts.input, { newline: opts.newline, eof: opts.eof });
+    const output = [];
+
+    const memory = new Memory();
+    const cpu = new CPU(memory, bus);
+    cpu.bus.teleprinter.latency = opts.outputLatency;
+    cpu.bus.teleprinter.onOutput = (charCode) => output.push(charCode);
+
+    const profiler = opts.profile ? new Profiler() : null;
+    cpu.profiler = profiler;
+
+    memory.loadProgram(program.machineCode);
+    cpu.setPC(program.startAddress);
+
+    let cycles = 0;
+    let exitCode = EXIT_TIMEOUT;
+
+    while (cycles < opts.maxCycles) {
+        // Keyboard model: the next character is ready whenever FGI is clear
+        if (!cpu.FGI && inputQueue.length > 0) {
+            cpu.setInput(inputQueue.shift());
+        }
+
+        const res = cpu.step();
+
+        // With interrupts enabled a device can still end the wait, so the
+        // clock keeps running until the cycle limit
+        if (res.state === 'WaitInput' && !cpu.IEN) {
+            exitCode = EXIT_NO_INPUT;
+            break;
+        }
+
+        cycles++;
+        if (opts.trace) {
+            process.stderr.write(`${res.msg}\n`);
+        }
+
+        if (!cpu.S) {
+            exitCode = EXIT_HALTED;
+            break;
+        }
+    }
+
+    process.stdout.write(Buffer.from(output));
+
+    const regs = `PC=${Utils.decToHex(cpu.PC, 3)} AC=${Utils.decToHex(cpu.AC, 4)} E=${cpu.E ? 1 : 0}`;
+    if (exitCode === EXIT_TIMEOUT) {
+        process.stderr.write(`${name}: cycle limit (${opts.maxCycles}) reached, ${regs}\n`);
+    } else if (exitCode === EXIT_NO_INPUT) {
+        process.stderr.write(`${name}: INP found no input left after ${cycles} cycles, ${regs}\n`);
+    } else if (!opts.quiet) {
+        process.stderr.write(`${name}: halted after ${cycles} cycles, ${regs}\n`);
+    }
+
+    if (profiler) {
+        process.stderr.write(`\n${profiler.formatReport()}\n`);
+    }
+    return exitCode;
+}
+
+/**
+ * Entry point
+ */
+function main() {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        process.stderr.write(`${e.message}\n\n${USAGE}\n`);
+        process.exit(EXIT_ERROR);
+    }
+
+    if (opts.help) {
+        process.stdout.write(`${USAGE}\n`);
+        process.exit(EXIT_HALTED);
+    }
+    if (opts.files.length === 0) {
+        process.stderr.write(`${USAGE}\n`);
+        process.exit(EXIT_ERROR);
+    }
+
+    try {
+        process.exitCode = run(opts);
+    } catch (e) {
+        process.stderr.write(`${e.message}\n`);
+        process.exitCode = EXIT_ERROR;
+    }
+}
+
+main();
@@ -0,0 +1,220 @@
+/**
+ * Static Analyzer for SARBA Simulator (Mano Basic Computer)
+ *
+ * @description Inspects an assembled program for common mistakes that are
+ * legal machine code but almost never intended: execution running into
+ * data, unreachable code, programs that never halt, stores into code,
+ * interrupt setups that clobber M[0] or have no service routine at 001 and
+ * words placed on device registers.
+ * Results are warnings; the program still loads and runs.
+ */
+
+const Analyzer = {
+    /** Register-reference skip instructions: SPA, SNA, SZA, SZE */
+    RRI_SKIPS: 0x010 | 0x008 | 0x004 | 0x002,
+
+    /** Input-output skip instructions: SKI, SKO */
+    IO_SKIPS: 0x200 | 0x100,
+
+    /**
+     * Analyzes an assembly result
+     * @param {Object} result - Successful result of Assembler.assemble()
+     * @param {IOBus} [bus] - Devices the program runs with (default: the standard set)
+     * @returns {Array<{severity: string, address: ?string, line: ?number, file: ?string, message: string}>}
+     *          Findings, ordered by address; severity is 'warning' or 'info', and
+     *          file is set for lines of INCLUDE files
+     */
+    analyze: (result, bus = new IOBus()) => {
+        const words = new Map(); // Address -> 16-bit word
+        for (const addr in result.machineCode) {
+            words.set(parseInt(addr, 16), parseInt(result.machineCode[addr], 16));
+        }
+        const usage = result.usageMap || {};
+        const sourceMap = result.sourceMap || {};
+        const sourceFiles = result.sourceFiles || {};
+        const findings = [];
+
+        const report = (severity, address, message) => {
+            findings.push({
+                severity,
+                address: address === null ? null : Utils.decToHex(address, 3),
+                line: address === null ? null : (sourceMap[address] || null),
+                file: address === null ? null : (sourceFiles[address] || null),
+                message
+            });
+        };
+
+        const isCode = (addr) => usage[addr] === 'code';
+        const isHalt = (word) => (word & 0xF001) === 0x7001;
+        const codeWords = [...words.keys()].filter(isCode).sort((a, b) => a - b);
+        const usesION = codeWords.some(addr => (words.get(addr) & 0xF080) === 0xF080); // ION, alone or combined
+
+        // --- Reachability from the start address (and the ISR entry) ---
+        const entries = [result.startAddress || 0];
+        if (usesION && isCode(0x001)) entries.push(0x001);
+
+        // Code addresses held in data words are return or task addresses
+        // that BUN P I may jump to
+        words.forEach((word, addr) => {
+            if (!isCode(addr) && word <= 0xFFF && isCode(word)) entries.push(word);
+        });
+
+        const reached = new Set();
+        const intoData = new Set();
+        const intoEmpty = new Set();
+        let haltReachable = false;
+        const queue = entries.slice();
+
+        while (queue.length > 0) {
+            const addr = queue.pop();
+            if (reached.has(addr)) continue;
+            reached.add(addr);
+
+            if (!words.has(addr)) {
+                intoEmpty.add(addr);
+                continue;
+            }
+            if (!isCode(addr)) {
+                intoData.add(addr);
+                continue;
+            }
+
+            const word = words.get(addr);
+            if (isHalt(word)) haltReachable = true;
+            Analyzer.successors(addr, word).forEach(next => queue.push(next));
+        }
+
+        intoData.forEach(addr => {
+            report('warning', addr, `Execution can run into data (DEC/HEX/CHR/STR/BSS) at ${Utils.decToHex(addr, 3)}`);
+        });
+        intoEmpty.forEach(addr => {
+            report('warning', addr, `Execution can run past the program into empty memory at ${Utils.decToHex(addr, 3)}`);
+        });
+
+        if (!haltReachable) {
+            report('warning', null, 'No reachable HLT: the program never stops on its own');
+        }
+
+        // --- Unreachable code directly after an unconditional BUN or HLT ---
+        // Code whose address appears in any word (pointer tables, BUN X I) may
+        // be reached indirectly, so it is not reported.
+        const referenced = new Set();
+        words.forEach((word, addr) => {
+            referenced.add(isCode(addr) ? (word & 0xFFF) : word);
+        });
+        codeWords.forEach(addr => {
+            const prev = words.get(addr - 1);
+            const prevStops = isCode(addr - 1) && (isHalt(prev) || (prev & 0x7000) === 0x4000);
+            if (prevStops && !reached.has(addr) && !referenced.has(addr)) {
+                report('info', addr, `Unreachable instruction after ${isHalt(prev) ? 'HLT' : 'BUN'}`);
+            }
+        });
+
+        // --- Stores into code ---
+        codeWords.forEach(addr => {
+            const word = words.get(addr);
+            if ((word & 0xF000) === 0x3000 && isCode(word & 0xFFF)) {
+                report('warning', addr, `STA overwrites the instruction at ${Utils.decToHex(word & 0xFFF, 3)}`);
+            }
+        });
+
+        // --- Interrupt setup ---
+        if (usesION) {
+            if (isCode(0x000) || (words.get(0x000) || 0) !== 0) {
+                report('warning', 0x000, 'M[0] holds a value, but the interrupt cycle overwrites it with the return address');
+            }
+            codeWords.forEach(addr => {
+                const word = words.get(addr);
+                const op = word & 0xF000;
+                // STA, BSA, ISZ (direct) write their operand
+                if ((op === 0x3000 || op === 0x5000 || op === 0x6000) && (word & 0xFFF) === 0x000) {
+                    report('warning', addr, 'Writes M[0], which holds the interrupt return address');
+                }
+            });
+            if (!isCode(0x001)) {
+                report('warning', null, 'ION is used but there is no interrupt service routine code at 001');
+            }
+        }
+
+        // --- Words on device registers (memory there is never read) ---
+        words.forEach((word, addr) => {
+            const register = bus.isMapped(addr) ? bus.registerName(addr) : null;
+            if (register) {
+                report('warning', addr, `Address ${Utils.decToHex(addr, 3)} is a device register (${register}), ` +
+                    'so this word never reaches the program');
+            }
+        });
+
+        return findings.sort((a, b) => {
+            if (a.address === null) return b.address === null ? 0 : -1;
+            if (b.address === null) return 1;
+            return a.address.localeCompare(b.address);
+        });
+    },
+
+    /**
+     * Decides whether a program uses the memory-mapped I/O page: some
+     * instruction has an operand in FF0-FFF (directly, or a pointer kept
+     * there). Programs that only use INP/OUT, or keep plain data in the page,
+     * run with it disabled.
+     * @param {Object} result - Result of Assembler.assemble() or Linker.link();
+     *        without a usage map (linked images) every word counts as code
+     * @returns {boolean}
+     */
+    usesIOPage: (result) => {
+        const usage = result.usageMap || {};
+        const known = Object.keys(usage).length > 0;
+        return Object.keys(result.machineCode).some(addr => {
+            const word = parseInt(result.machineCode[addr], 16);
+            if (known && usage[parseInt(addr, 16)] !== 'code') return false;
+            return ((word >> 12) & 7) !== 7 && (word & 0xFFF) >= IOBus.PAGE_START;
+        });
+    },
+
+    /**
+     * Possible next instruction addresses of an instruction
+     * @param {number} addr - Address of the instruction
+     * @param {number} word - 16-bit instruction word
+     * @returns {number[]} Successor addresses (empty for HLT and indirect BUN)
+     */
+    successors: (addr, word) => {
+        const next = (addr + 1) & 0xFFF;
+        const skip = (addr + 2) & 0xFFF;
+        const opcode = (word >> 12) & 7;
+        const indirect = (word & 0x8000) !== 0;
+        const target = word & 0xFFF;
+
+        switch (opcode) {
+            case 4: // BUN
+                return indirect ? [] : [target];
+            case 5: // BSA: subroutine body starts after the return-address word
+                return indirect ? [next] : [(target + 1) & 0xFFF, next];
+            case 6: // ISZ
+                return [next, skip];
+            case 7:
+                if ((word & 0xF001) === 0x7001) return []; // HLT
+                if (!indirect && (word & Analyzer.RRI_SKIPS)) return [next, skip];
+                if (indirect && (word & Analyzer.IO_SKIPS)) return [next, skip];
+                return [next];
+            default: // AND, ADD, LDA, STA
+                return [next];
+        }
+    },
+
+    /**
+     * Formats a finding for the log or terminal
+     * @param {Object} finding - Entry from analyze()
+     * @returns {string} e.g. "Line 12: STA overwrites the instruction at 104"
+     */
+    format: (finding) => {
+        if (finding.line && finding.file) return `${finding.file}:${finding.line}: ${finding.message}`;
+        if (finding.line) return `Line ${finding.line}: ${finding.message}`;
+        if (finding.address) return `Address ${finding.address}: ${finding.message}`;
+        return finding.message;
+    }
+};
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Analyzer;
+}
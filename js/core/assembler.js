@@ -3,7 +3,9 @@
  * Two-pass assembler logic with comprehensive validation.
  * 
  * @description Assembles Mano assembly language into 16-bit machine code.
- * Supports MRI, RRI, and IO instructions along with pseudo-ops (ORG, END, HEX, DEC).
+ * Supports MRI, RRI, and IO instructions along with pseudo-ops (ORG, END, HEX, DEC,
+ * CHR, STR/STRZ, BSS/DS), named constants (EQU / =), operand expressions (TABLE+3) and macros
+ * (MACRO ... ENDM), which are expanded before the two passes.
  */
 
 const Assembler = {
@@ -41,6 +43,50 @@ const Assembler = {
         'IOF': { type: 'IO', hex: 'F040' }
     },
 
+    /** Pseudo-instructions (handled by the assembler, not the CPU) */
+    DIRECTIVES: ['ORG', 'END', 'HEX', 'DEC', 'CHR', 'STR', 'STRZ', 'BSS', 'DS', 'EXTERN', 'EXPORT'],
+
+    /** Identifies object files (assemble() with options.object) */
+    OBJECT_FORMAT: 'sarba-object',
+
+    /** Current object file format version */
+    OBJECT_VERSION: 1,
+
+    /** Pseudo-instructions whose words are data rather than code */
+    DATA_DIRECTIVES: ['HEX', 'DEC', 'CHR', 'STR', 'STRZ', 'BSS', 'DS'],
+
+    /**
+     * Combines register-reference or I/O mnemonics written on one line
+     * (e.g. CLA CMA INC) into a single word by OR'ing their bit patterns.
+     * The CPU performs the operations in its fixed bit order, not in the
+     * order they are written.
+     * @param {string[]} mnemonics - Mnemonics (uppercase), at least one
+     * @returns {{value: number}|{error: string}} Instruction word or error message
+     */
+    combine: (mnemonics) => {
+        let value = 0;
+        let type = null;
+        for (const name of mnemonics) {
+            const instr = Assembler.INSTRUCTION_SET[name];
+            if (!instr) {
+                return { error: `Unknown instruction '${name}'` };
+            }
+            if (instr.type === 'MRI') {
+                return { error: `Memory-reference instruction '${name}' cannot be combined with others` };
+            }
+            if (type && instr.type !== type) {
+                return { error: `Cannot combine register-reference and I/O instructions (${mnemonics.join(' ')})` };
+            }
+            const bits = parseInt(instr.hex, 16);
+            if (value & bits & 0x0FFF) {
+                return { error: `'${name}' appears more than once` };
+            }
+            type = instr.type;
+            value |= bits;
+        }
+        return { value };
+    },
+
     /**
      * Validates a hexadecimal string
      * @param {string} str - String to validate
@@ -72,46 +118,631 @@ const Assembler = {
         return /^[A-Za-z_][A-Za-z0-9_]*$/.test(label);
     },
 
+    /**
+     * Checks whether a name is reserved: instruction mnemonics, directives,
+     * pseudo-ops and I (the indirect flag) cannot name a symbol or macro
+     * @param {string} name - Uppercase name
+     * @returns {boolean} True if reserved
+     */
+    isReserved: (name) => Assembler.INSTRUCTION_SET.hasOwnProperty(name) ||
+        Assembler.DIRECTIVES.includes(name) ||
+        ['EQU', 'MACRO', 'ENDM', 'INCLUDE', 'I'].includes(name),
+
+    /**
+     * Finds the comment start ('/') of a line, ignoring slashes inside
+     * character and string literals
+     * @param {string} line - Source line
+     * @returns {number} Index of the comment, or -1 if there is none
+     */
+    commentIndex: (line) => {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quote) {
+                if (ch === '\\') i++; // Skip the escaped character
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '/') {
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * Removes the comment and uppercases a line; quoted text keeps its case
+     * @param {string} line - Source line
+     * @returns {string} Trimmed statement, e.g. 'MSG, STR "Hi"'
+     */
+    cleanLine: (line) => {
+        const slash = Assembler.commentIndex(line);
+        const code = slash >= 0 ? line.slice(0, slash) : line;
+        // Alternate between unquoted text (uppercased) and quoted literals
+        return code.replace(/('|")(?:\\.|(?!\1).)*\1?|[^'"]+/g,
+            part => (part[0] === '"' || part[0] === "'") ? part : part.toUpperCase()).trim();
+    },
+
+    /** Escape sequences allowed in character and string literals */
+    ESCAPES: { 'n': 0x0A, 'r': 0x0D, 't': 0x09, '0': 0x00, '\\': 0x5C, "'": 0x27, '"': 0x22 },
+
+    /**
+     * Decodes a quoted character or string literal into 8-bit character codes
+     * @param {string} text - Literal including its quotes, e.g. "Hi\n" or 'A'
+     * @returns {{codes: number[]}|{error: string}} Character codes or error message
+     */
+    parseString: (text) => {
+        const quote = text[0];
+        if ((quote !== '"' && quote !== "'") || text.length < 2 || text[text.length - 1] !== quote) {
+            return { error: `Unterminated or missing quotes in ${text || 'literal'}` };
+        }
+        const body = text.slice(1, -1);
+        const codes = [];
+        for (let i = 0; i < body.length; i++) {
+            let code = body.charCodeAt(i);
+            if (body[i] === '\\') {
+                const esc = Assembler.ESCAPES[body[++i]];
+                if (esc === undefined) return { error: `Unknown escape '\\${body[i] || ''}' in ${text}` };
+                code = esc;
+            } else if (body[i] === quote) {
+                return { error: `Unescaped ${quote} inside ${text}` };
+            }
+            if (code > 0xFF) return { error: `Character '${body[i]}' in ${text} is not an 8-bit character` };
+            codes.push(code);
+        }
+        return { codes };
+    },
+
+    /**
+     * Parses a numeric literal. Prefixes select the radix regardless of the
+     * default: %1010 (binary), @17 (octal), $1F or 0x1F (hex), #25 (decimal)
+     * and 'c' (character code); unprefixed numbers use the given radix.
+     * @param {string} text - Literal (uppercase outside quotes)
+     * @param {number} radix - Default radix (16 or 10)
+     * @returns {number|undefined} Value, or undefined if not a valid literal
+     */
+    parseNumber: (text, radix) => {
+        if (text[0] === "'") {
+            const res = Assembler.parseString(text);
+            return res.codes && res.codes.length === 1 ? res.codes[0] : undefined;
+        }
+        const prefixed = text.match(/^(?:(%)([01]+)|(@)([0-7]+)|(\$|0X)([0-9A-F]+)|(#)([0-9]+))$/);
+        if (prefixed) {
+            if (prefixed[1]) return parseInt(prefixed[2], 2);
+            if (prefixed[3]) return parseInt(prefixed[4], 8);
+            if (prefixed[5]) return parseInt(prefixed[6], 16);
+            return parseInt(prefixed[8], 10);
+        }
+        const plain = radix === 16 ? /^[0-9A-F]+$/ : /^[0-9]+$/;
+        return plain.test(text) ? parseInt(text, radix) : undefined;
+    },
+
+    /**
+     * Evaluates an operand expression: terms joined by + and -, with an
+     * optional leading minus. A term is a symbol (label or EQU constant) or
+     * a number (see parseNumber); symbols win over hex numbers, so a label
+     * named 'A' is not read as 0xA, unless numbersFirst is set.
+     * @param {string} expr - Expression text (uppercase outside quotes)
+     * @param {function(string): (number|undefined)} lookup - Symbol resolver
+     * @param {number} [radix=16] - Radix of numeric literals (16 or 10)
+     * @param {boolean} [numbersFirst=false] - Read a term that is a valid
+     *        number as that number even if a symbol has the same name (HEX and
+     *        ORG operands, which took only numbers before expressions existed)
+     * @returns {{value: number, symbols: Array<{name: string, sign: number}>}|{error: string}}
+     *          Value and the symbols it was computed from (for relocation), or error message
+     * @example
+     * Assembler.evaluate('TABLE+3', name => ({ TABLE: 0x200 })[name]) // { value: 0x203, symbols: [...] }
+     */
+    evaluate: (expr, lookup, radix = 16, numbersFirst = false) => {
+        // Character literals may contain spaces and operators ('+', ' ')
+        const parts = expr.match(/'(?:\\.|[^'\\])*'?|[+-]|[^+\-'\s]+/g);
+        if (!parts) return { error: 'Missing value' };
+
+        let value = 0;
+        let sign = 1;
+        let expectTerm = true;
+        const symbols = [];
+
+        for (const part of parts) {
+            if (part === '+' || part === '-') {
+                if (!expectTerm) {
+                    sign = part === '-' ? -1 : 1; // Binary operator
+                } else if (part === '-' && sign === 1) {
+                    sign = -1; // Unary minus
+                } else {
+                    return { error: `Invalid expression '${expr}'` };
+                }
+                expectTerm = true;
+                continue;
+            }
+
+            if (!expectTerm) return { error: `Invalid expression '${expr}'` };
+
+            let term;
+            const number = Assembler.parseNumber(part, radix);
+            if (numbersFirst && number !== undefined) {
+                term = number;
+            } else if (Assembler.isValidLabel(part) && lookup(part) !== undefined) {
+                term = lookup(part);
+                symbols.push({ name: part, sign });
+            } else if (number !== undefined) {
+                term = number;
+            } else if (Assembler.isValidLabel(part)) {
+                return { error: `Undefined symbol '${part}'` };
+            } else if (part[0] === "'") {
+                return { error: `Invalid character literal ${part}` };
+            } else {
+                return { error: `Invalid ${radix === 16 ? 'hex' : 'decimal'} value '${part}'` };
+            }
+
+            value += sign * term;
+            sign = 1;
+            expectTerm = false;
+        }
+
+        if (expectTerm) return { error: `Incomplete expression '${expr}'` };
+        return { value, symbols };
+    },
+
+    /**
+     * Recognizes a named constant definition: NAME EQU value or NAME = value
+     * @param {string} statement - Statement without label (uppercase)
+     * @returns {?{name: string, expr: string}} Definition or null
+     */
+    parseEquate: (statement) => {
+        const match = statement.match(/^([A-Z_][A-Z0-9_]*)\s*(?:=|\s+EQU\s)\s*(.*)$/);
+        return match ? { name: match[1], expr: match[2] } : null;
+    },
+
+    /** Maximum nesting of macro invocations (guards against recursive macros) */
+    MAX_MACRO_DEPTH: 16,
+
+    /**
+     * Formats the location of a source line for error messages
+     * @param {{lineNum: number, macro: ?string, file: ?string}} src - Preprocessed line
+     * @returns {string} e.g. "Line 12", "io_lib.asm:12" or "Line 12 (macro PRINT)"
+     */
+    lineRef: (src) => {
+        const at = src.file ? `${src.file}:${src.lineNum}` : `Line ${src.lineNum}`;
+        return src.macro ? `${at} (macro ${src.macro})` : at;
+    },
+
+    /**
+     * Splits a line into label and statement (comment removed, uppercased)
+     * @param {string} line - Source line
+     * @returns {{label: ?string, statement: string}}
+     */
+    splitLabel: (line) => {
+        const clean = Assembler.cleanLine(line);
+        const match = clean.match(/^([A-Z_][A-Z0-9_]*)\s*,\s*(.*)$/);
+        if (match) {
+            return { label: match[1], statement: match[2] };
+        }
+        return { label: null, statement: clean };
+    },
+
+    /**
+     * Checks whether a cleaned line is an EXTERN or EXPORT list, whose commas
+     * separate symbol names rather than end a label
+     * @param {string} line - Line from cleanLine()
+     * @returns {boolean}
+     */
+    isSymbolList: (line) => /^(EXTERN|EXPORT)(\s|$)/.test(line),
+
+    /**
+     * Expands INCLUDE directives and macros. Definitions have the form
+     *
+     *     MACRO NAME P1, P2
+     *     ...body...
+     *     ENDM
+     *
+     * and are invoked as `NAME arg1, arg2` (arguments may also be separated
+     * by spaces). Parameters are replaced by the arguments, and labels
+     * defined inside the body are renamed per expansion (LOOP -> LOOP_M1)
+     * so a macro can be used more than once.
+     *
+     * `INCLUDE "name"` inserts the lines of another file, read through
+     * options.readFile. A file is only included once per assembly, so
+     * libraries may include each other freely.
+     *
+     * @param {string} code - Assembly source code
+     * @param {Object} [options] - See assemble()
+     * @returns {{lines: Array<{text: string, lineNum: number, macro: ?string, file: ?string, origin: number}>,
+     *          errors: string[]}} Expanded lines with their file and line number; origin is
+     *          the line of the main file they came from (the INCLUDE line for included files)
+     */
+    preprocess: (code, options = {}) => {
+        const { fileName = null, readFile = null } = options;
+        const macros = {};
+        const lines = [];
+        const errors = [];
+        const included = new Set([fileName]);
+        let expansionCount = 0;
+        let current = null; // Macro being defined
+
+        const isQuoted = (part) => part[0] === '"' || part[0] === "'";
+
+        // Split arguments at commas, or at blanks when there are none; quoted
+        // literals stay whole even if they contain either
+        const splitArgs = (text) => {
+            const slash = Assembler.commentIndex(text);
+            const trimmed = (slash >= 0 ? text.slice(0, slash) : text).trim();
+            if (!trimmed) return [];
+            const parts = trimmed.match(/('|")(?:\\.|(?!\1).)*\1?|[^'"]+/g);
+            const separator = parts.some(part => !isQuoted(part) && part.includes(',')) ? ',' : /\s+/;
+            const args = [''];
+            parts.forEach(part => {
+                const pieces = isQuoted(part) ? [part] : part.split(separator);
+                args[args.length - 1] += pieces[0];
+                args.push(...pieces.slice(1));
+            });
+            return args.map(arg => arg.trim());
+        };
+
+        // Replace whole-word symbols in the code part of a line, keeping the
+        // comment and quoted literals (STR "COUNT" is text, not a parameter)
+        const substitute = (line, map) => {
+            const slash = Assembler.commentIndex(line);
+            const codePart = slash >= 0 ? line.slice(0, slash) : line;
+            const comment = slash >= 0 ? line.slice(slash) : '';
+            return codePart.replace(/('|")(?:\\.|(?!\1).)*\1?|[A-Za-z_][A-Za-z0-9_]*/g, part => {
+                if (isQuoted(part)) return part;
+                return map.hasOwnProperty(part.toUpperCase()) ? map[part.toUpperCase()] : part;
+            }) + comment;
+        };
+
+        const expand = (macro, args, src, label, depth) => {
+            const where = Assembler.lineRef(src);
+            if (depth > Assembler.MAX_MACRO_DEPTH) {
+                errors.push(`${where}: Macro expansion of '${macro.name}' nested too deeply (recursive macro?)`);
+                return;
+            }
+            if (args.length !== macro.params.length) {
+                errors.push(`${where}: Macro '${macro.name}' expects ${macro.params.length} argument(s), got ${args.length}`);
+                return;
+            }
+
+            const id = ++expansionCount;
+            const map = {};
+            macro.locals.forEach(local => { map[local] = `${local}_M${id}`; });
+            macro.params.forEach((param, i) => { map[param] = args[i]; });
+
+            if (label) {
+                lines.push({ ...src, text: `${label},` });
+            }
+            macro.body.forEach(bodyLine => {
+                emit(substitute(bodyLine, map), { ...src, macro: macro.name }, depth + 1);
+            });
+        };
+
+        const emit = (text, src, depth) => {
+            const { label, statement } = Assembler.splitLabel(text);
+            const tokens = statement.split(/\s+/);
+            const macro = macros[tokens[0]];
+            if (macro) {
+                expand(macro, splitArgs(statement.slice(tokens[0].length)), src, label, depth);
+            } else {
+                lines.push({ ...src, text });
+            }
+        };
+
+        const include = (statement, src, label) => {
+            const where = Assembler.lineRef(src);
+            const name = Assembler.parseString(statement.slice('INCLUDE'.length).trim());
+            if (label) {
+                errors.push(`${where}: INCLUDE cannot have a label`);
+                return;
+            }
+            if (name.error || name.codes.length === 0) {
+                errors.push(`${where}: INCLUDE requires a quoted file name, e.g. INCLUDE "io_lib.asm"`);
+                return;
+            }
+            const file = String.fromCharCode(...name.codes);
+            if (included.has(file)) return;
+
+            const text = readFile ? readFile(file) : null;
+            if (typeof text !== 'string') {
+                errors.push(`${where}: Cannot open include file '${file}'`);
+                return;
+            }
+            included.add(file);
+            processFile(text, file, src.origin);
+        };
+
+        const processFile = (text, file, origin) => {
+            text.split('\n').forEach((line, index) => {
+                const lineNum = index + 1;
+                const src = { lineNum, macro: null, file, origin: origin || lineNum };
+                const where = Assembler.lineRef(src);
+                const { label, statement } = Assembler.splitLabel(line);
+                const tokens = statement.split(/\s+/);
+
+                if (tokens[0] === 'MACRO') {
+                    if (current) {
+                        errors.push(`${where}: Nested MACRO definition inside '${current.name}'`);
+                        return;
+                    }
+                    const name = tokens[1];
+                    current = { name, params: [], locals: [], body: [], src, valid: false };
+                    if (label) {
+                        errors.push(`${where}: MACRO definition cannot have a label`);
+                    } else if (!name) {
+                        errors.push(`${where}: MACRO requires a name`);
+                    } else if (!Assembler.isValidLabel(name) || Assembler.isReserved(name)) {
+                        errors.push(`${where}: Invalid macro name '${name}'`);
+                    } else if (macros.hasOwnProperty(name)) {
+                        const first = Assembler.lineRef(macros[name].src).replace(/^Line/, 'line');
+                        errors.push(`${where}: Duplicate macro '${name}' (first defined at ${first})`);
+                    } else {
+                        current.params = splitArgs(statement.slice('MACRO'.length).trim().slice(name.length));
+                        const bad = current.params.find(p => !Assembler.isValidLabel(p) || Assembler.isReserved(p));
+                        const dup = current.params.find((p, i) => current.params.indexOf(p) !== i);
+                        if (bad) {
+                            errors.push(`${where}: Invalid parameter '${bad}' in macro '${name}'`);
+                        } else if (dup) {
+                            errors.push(`${where}: Duplicate parameter '${dup}' in macro '${name}'`);
+                        } else {
+                            current.valid = true;
+                        }
+                    }
+                    return;
+                }
+
+                if (tokens[0] === 'ENDM') {
+                    if (!current) {
+                        errors.push(`${where}: ENDM without MACRO`);
+                    } else if (current.valid) {
+                        macros[current.name] = current;
+                    }
+                    current = null;
+                    return;
+                }
+
+                if (current) {
+                    if (tokens[0] === 'INCLUDE') {
+                        errors.push(`${where}: INCLUDE cannot be used inside macro '${current.name}'`);
+                        return;
+                    }
+                    current.body.push(line);
+                    if (label && !current.locals.includes(label)) {
+                        if (current.params.includes(label)) {
+                            errors.push(`${where}: Label '${label}' in macro '${current.name}' shadows a parameter`);
+                        } else {
+                            current.locals.push(label);
+                        }
+                    }
+                    return;
+                }
+
+                if (tokens[0] === 'INCLUDE') {
+                    include(statement, src, label);
+                    return;
+                }
+
+                emit(line, src, 0);
+            });
+
+            // A definition may not continue into the file that included this one
+            if (current && current.src.file === file) {
+                errors.push(`${Assembler.lineRef(current.src)}: MACRO '${current.name}' is missing ENDM`);
+                current = null;
+            }
+        };
+
+        processFile(code, fileName, null);
+
+        return { lines, errors };
+    },
+
     /**
      * Main assembly function - Two-pass assembler
      * @param {string} code - Assembly source code
+     * @param {Object} [options]
+     * @param {?string} [options.fileName=null] - Name of the code's file; errors then
+     *        read "main.asm:3: ..." instead of "Line 3: ..."
+     * @param {?function(string): ?string} [options.readFile=null] - Returns the text of
+     *        an INCLUDE file, or null if it does not exist
+     * @param {boolean} [options.object=false] - Also build an object module for
+     *        the linker (result.object); EXTERN is only allowed then. A module
+     *        without ORG is relocatable: its addresses are offsets from wherever
+     *        the linker loads it
      * @returns {Object} Assembly result with machineCode, errors, labels, etc.
      */
-    assemble: (code) => {
-        const lines = code.split('\n');
+    assemble: (code, options = {}) => {
+        const { lines, errors } = Assembler.preprocess(code, options);
+        const mainFile = options.fileName || null;
         const labels = {};
+        const equates = {}; // Named constants (EQU / =), not addresses
         const machineCode = {}; // Address -> Hex
         let LC = 0; // Location Counter
-        const errors = [];
-        const lineMap = []; // Maps source line to LC for error reporting
+        const definedAt = {}; // Symbol -> source line that defines it
+        const externals = new Set(); // EXTERN symbols, resolved by the linker
+        const exported = []; // EXPORT names with the line that exports them
+        const relocations = []; // Words the linker has to adjust
+
+        // Object modules without an ORG can be loaded anywhere
+        const relocatable = !!options.object &&
+            !lines.some(src => /^ORG(\s|$)/.test(Assembler.splitLabel(src.text).statement));
+
+        // Line of the main file (a number) or "file:line" for included files
+        const position = (src) => src.file === mainFile ? src.lineNum : `${src.file}:${src.lineNum}`;
+        const ref = (src) => Assembler.lineRef(src).replace(/^Line/, 'line');
+        const owners = {}; // Address -> { src, segment } of the word placed there
+        const segments = []; // Contiguous blocks of words, one per ORG
+        let segment = null; // Block currently being filled
+        let segmentOrg = null; // ORG line that started the current block
+
+        const lookup = (name) => {
+            if (equates.hasOwnProperty(name)) return equates[name];
+            if (labels.hasOwnProperty(name)) return labels[name];
+            if (externals.has(name)) return 0; // Plus the address the linker finds
+            return undefined;
+        };
+
+        // What the linker must add to an evaluated expression: the net count
+        // of relocatable labels in it and the externals it uses
+        const relocationOf = (res) => {
+            let rel = 0;
+            const ext = [];
+            res.symbols.forEach(({ name, sign }) => {
+                if (externals.has(name)) ext.push({ name, sign });
+                else if (relocatable && labels.hasOwnProperty(name)) rel += sign;
+            });
+            return { rel, ext };
+        };
+
+        // Values fixed in pass 1 (ORG, EQU, BSS) cannot wait for the linker
+        const isAbsolute = (res) => {
+            const { rel, ext } = relocationOf(res);
+            return rel === 0 && ext.length === 0;
+        };
+
+        // Records the relocation of the word at LC; a word can hold one
+        // relocatable address or one external, plus or minus a constant.
+        // The value is only an offset until the linker adds the load address
+        // or the external's address, so its range is checked there: an offset
+        // the field cannot hold (e.g. EXT-1) goes along as a signed addend.
+        // Returns true if the word is relocated, false if it is absolute and
+        // null if the expression cannot be relocated
+        const relocate = (res, field, at, expr) => {
+            const { rel, ext } = relocationOf(res);
+            if (rel === 0 && ext.length === 0) return false;
+            if (ext.length > 1 || (ext.length === 1 && (rel !== 0 || ext[0].sign < 0)) || rel < 0 || rel > 1) {
+                errors.push(`${at}: '${expr}' cannot be relocated (use one relocatable label or external, plus or minus a constant)`);
+                return null;
+            }
+            const entry = { address: Utils.decToHex(LC, 3), field, symbol: ext.length === 1 ? ext[0].name : null };
+            const max = field === 'address' ? 0xFFF : 0xFFFF;
+            if (res.value < 0 || res.value > max) entry.addend = res.value;
+            relocations.push(entry);
+            return true;
+        };
+
+        // EXTERN/EXPORT operands: symbol names separated by commas or blanks
+        const symbolList = (statement, mnemonic, at) => {
+            const names = statement.slice(mnemonic.length).split(/[\s,]+/).filter(Boolean);
+            if (names.length === 0) errors.push(`${at}: ${mnemonic} requires one or more symbol names`);
+            return names.filter(name => {
+                if (Assembler.isValidLabel(name)) return true;
+                errors.push(`${at}: Invalid symbol name '${name}' for ${mnemonic}`);
+                return false;
+            });
+        };
+
+        const defineEquate = (name, expr, src) => {
+            const at = Assembler.lineRef(src);
+            if (!Assembler.isValidLabel(name)) {
+                errors.push(`${at}: Invalid constant name '${name}'`);
+                return;
+            }
+            if (Assembler.isReserved(name)) {
+                errors.push(`${at}: '${name}' is a reserved word and cannot be used as a symbol name`);
+                return;
+            }
+            if (labels.hasOwnProperty(name) || equates.hasOwnProperty(name) || externals.has(name)) {
+                errors.push(`${at}: Duplicate symbol '${name}'`);
+                return;
+            }
+            // Constants are evaluated in pass 1, so they may only refer back
+            const res = Assembler.evaluate(expr, lookup, 16);
+            if (res.error) {
+                errors.push(`${at}: ${res.error} in EQU (symbols must be defined before the EQU)`);
+                return;
+            }
+            if (!isAbsolute(res)) {
+                errors.push(`${at}: EQU value '${expr.trim()}' depends on a relocatable label or external`);
+                return;
+            }
+            equates[name] = res.value;
+            definedAt[name] = position(src);
+        };
+
+        // MRI operand: expression with an optional trailing I (indirect)
+        const parseOperand = (tokens) => {
+            const rest = tokens.slice(1);
+            const indirect = rest.length > 1 && rest[rest.length - 1] === 'I';
+            return { expr: (indirect ? rest.slice(0, -1) : rest).join(' '), indirect };
+        };
+
+        // Places one word at LC, reporting words that land on an address an
+        // earlier line already filled or that run past the end of memory
+        const emit = (src) => {
+            const at = Assembler.lineRef(src);
+            if (!segment) {
+                segment = { start: LC, end: LC, words: 0, src: segmentOrg || src, overflow: false, overlaps: [] };
+                segments.push(segment);
+            }
+            if (LC > 0xFFF) {
+                if (!segment.overflow) {
+                    errors.push(`${at}: Location counter passed FFF (block starting at ${ref(segment.src)} does not fit in memory)`);
+                    segment.overflow = true;
+                }
+            } else if (owners[LC]) {
+                // One error per pair of overlapping blocks, at the first collision
+                const prev = owners[LC];
+                if (!segment.overlaps.includes(prev.segment)) {
+                    errors.push(`${at}: Address ${Utils.decToHex(LC, 3)} is already used by ${ref(prev.src)} ` +
+                        `(blocks starting at ${ref(prev.segment.src)} and ${ref(segment.src)} overlap)`);
+                    segment.overlaps.push(prev.segment);
+                }
+            } else {
+                owners[LC] = { src, segment };
+                segment.end = LC;
+                segment.words++;
+            }
+            LC++;
+        };
 
         // --- PASS 1: Symbol Table & Validation ---
-        lines.forEach((line, index) => {
-            const lineNum = index + 1;
-            const cleanLine = line.split('/')[0].trim().toUpperCase(); // Remove comments, normalize case
+        lines.forEach((src) => {
+            const lineNum = src.lineNum;
+            const at = Assembler.lineRef(src);
+            const cleanLine = Assembler.cleanLine(src.text); // Remove comments, normalize case
             if (!cleanLine) return; // Skip empty
 
-            // Check for Label (ends with comma)
-            const parts = cleanLine.split(',');
+            // Check for Label (ends with comma, ahead of any quoted text);
+            // EXTERN and EXPORT lists use commas themselves
+            const comma = Assembler.isSymbolList(cleanLine) ? -1 : cleanLine.search(/[,'"]/);
+            const label = comma >= 0 && cleanLine[comma] === ',' ? cleanLine.slice(0, comma).trim() : null;
             let instructionPart = cleanLine;
             
-            if (parts.length > 1) {
-                const label = parts[0].trim();
+            if (label !== null) {
                 
                 // Validate label format
                 if (!Assembler.isValidLabel(label)) {
-                    errors.push(`Line ${lineNum}: Invalid label format '${label}'`);
+                    errors.push(`${at}: Invalid label format '${label}'`);
+                    return;
+                }
+                if (Assembler.isReserved(label)) {
+                    errors.push(`${at}: '${label}' is a reserved word and cannot be used as a symbol name`);
                     return;
                 }
                 
                 // Check for duplicate labels
                 if (labels.hasOwnProperty(label)) {
-                    errors.push(`Line ${lineNum}: Duplicate label '${label}' (first defined at address ${Utils.decToHex(labels[label], 3)})`);
+                    errors.push(`${at}: Duplicate label '${label}' (first defined at address ${Utils.decToHex(labels[label], 3)})`);
+                    return;
+                }
+                if (equates.hasOwnProperty(label) || externals.has(label)) {
+                    errors.push(`${at}: Duplicate symbol '${label}'`);
                     return;
                 }
                 
+                instructionPart = cleanLine.slice(comma + 1).trim();
+
+                // NAME, EQU value defines a constant instead of an address label
+                if (/^EQU(\s|$)/.test(instructionPart)) {
+                    defineEquate(label, instructionPart.slice(3), src);
+                    return;
+                }
                 labels[label] = LC;
-                instructionPart = parts[1].trim();
+                definedAt[label] = position(src);
+            }
+
+            const equate = Assembler.parseEquate(instructionPart);
+            if (equate) {
+                defineEquate(equate.name, equate.expr, src);
+                return;
             }
 
             const tokens = instructionPart.split(/\s+/);
@@ -119,72 +750,123 @@ const Assembler = {
 
             if (mnemonic === 'ORG') {
                 if (tokens.length < 2) {
-                    errors.push(`Line ${lineNum}: ORG requires a hex address`);
+                    errors.push(`${at}: ORG requires a hex address`);
                     return;
                 }
-                if (!Assembler.isValidHex(tokens[1])) {
-                    errors.push(`Line ${lineNum}: Invalid hex address '${tokens[1]}' for ORG`);
+                const res = Assembler.evaluate(tokens.slice(1).join(' '), lookup, 16, true);
+                if (res.error) {
+                    errors.push(`${at}: ${res.error} for ORG`);
                     return;
                 }
-                const addr = parseInt(tokens[1], 16);
+                if (!isAbsolute(res)) {
+                    errors.push(`${at}: ORG address cannot use an external symbol`);
+                    return;
+                }
+                const addr = res.value;
                 if (addr < 0 || addr > 0xFFF) {
-                    errors.push(`Line ${lineNum}: ORG address ${tokens[1]} out of range (000-FFF)`);
+                    errors.push(`${at}: ORG address ${Utils.decToHex(addr, 4)} out of range (000-FFF)`);
                     return;
                 }
                 LC = addr;
+                segment = null;
+                segmentOrg = src;
                 // Update label if one was defined on this line
-                if (parts.length > 1) {
-                    labels[parts[0].trim()] = LC;
+                if (label !== null) {
+                    labels[label] = LC;
                 }
             } else if (mnemonic === 'END') {
                 // END directive - no LC change
-            } else if (mnemonic === 'HEX') {
-                if (tokens.length < 2) {
-                    errors.push(`Line ${lineNum}: HEX requires a value`);
+            } else if (mnemonic === 'EXTERN') {
+                if (!options.object) {
+                    errors.push(`${at}: EXTERN is only allowed in object modules (assemble with an object file as output)`);
                     return;
                 }
-                if (!Assembler.isValidHex(tokens[1])) {
-                    errors.push(`Line ${lineNum}: Invalid hex value '${tokens[1]}'`);
+                if (label !== null) {
+                    errors.push(`${at}: EXTERN cannot have a label`);
                     return;
                 }
-                const val = parseInt(tokens[1], 16);
-                if (val > 0xFFFF) {
-                    errors.push(`Line ${lineNum}: HEX value ${tokens[1]} exceeds 16-bit range`);
+                symbolList(instructionPart, mnemonic, at).forEach(name => {
+                    if (lookup(name) !== undefined) {
+                        errors.push(`${at}: Duplicate symbol '${name}'`);
+                        return;
+                    }
+                    externals.add(name);
+                    definedAt[name] = position(src);
+                });
+            } else if (mnemonic === 'EXPORT') {
+                // Checked once all symbols are known; ignored outside object modules
+                if (label !== null) {
+                    errors.push(`${at}: EXPORT cannot have a label`);
                     return;
                 }
-                LC++;
-            } else if (mnemonic === 'DEC') {
+                symbolList(instructionPart, mnemonic, at).forEach(name => exported.push({ name, at }));
+            } else if (mnemonic === 'HEX' || mnemonic === 'DEC' || mnemonic === 'CHR') {
+                // Values may reference later labels, so they are checked in pass 2
                 if (tokens.length < 2) {
-                    errors.push(`Line ${lineNum}: DEC requires a value`);
+                    errors.push(`${at}: ${mnemonic} requires a value`);
                     return;
                 }
-                if (!Assembler.isValidDec(tokens[1])) {
-                    errors.push(`Line ${lineNum}: Invalid decimal value '${tokens[1]}'`);
+                emit(src);
+            } else if (mnemonic === 'STR' || mnemonic === 'STRZ') {
+                // One word per character, plus a terminating 0 for STRZ
+                const res = Assembler.parseString(instructionPart.slice(mnemonic.length).trim());
+                if (res.error) {
+                    errors.push(`${at}: ${res.error}`);
                     return;
                 }
-                const val = parseInt(tokens[1], 10);
-                if (val > 32767 || val < -32768) {
-                    errors.push(`Line ${lineNum}: DEC value ${tokens[1]} out of 16-bit signed range (-32768 to 32767)`);
+                if (mnemonic === 'STR' && res.codes.length === 0) {
+                    errors.push(`${at}: STR requires a non-empty string`);
                     return;
                 }
-                LC++;
+                const size = res.codes.length + (mnemonic === 'STRZ' ? 1 : 0);
+                for (let i = 0; i < size; i++) emit(src);
+            } else if (mnemonic === 'BSS' || mnemonic === 'DS') {
+                // The block size decides where later labels land, so it is
+                // evaluated now and may only refer back (like EQU)
+                const res = Assembler.evaluate(tokens.slice(1).join(' '), lookup, 10);
+                if (res.error) {
+                    errors.push(`${at}: ${res.error} for ${mnemonic} (symbols must be defined before the ${mnemonic})`);
+                    return;
+                }
+                if (!isAbsolute(res)) {
+                    errors.push(`${at}: ${mnemonic} size depends on a relocatable label or external`);
+                    return;
+                }
+                if (res.value < 1 || res.value > 0x1000) {
+                    errors.push(`${at}: ${mnemonic} size ${res.value} out of range (1-4096)`);
+                    return;
+                }
+                for (let i = 0; i < res.value; i++) emit(src);
             } else {
                 // Instruction - check if valid
                 const instr = Assembler.INSTRUCTION_SET[mnemonic];
                 if (instr) {
                     // MRI requires operand
                     if (instr.type === 'MRI' && tokens.length < 2) {
-                        errors.push(`Line ${lineNum}: '${mnemonic}' requires an address operand`);
+                        errors.push(`${at}: '${mnemonic}' requires an address operand`);
                         return;
                     }
-                    LC++;
+                    if (instr.type !== 'MRI') {
+                        const res = Assembler.combine(tokens);
+                        if (res.error) {
+                            errors.push(`${at}: ${res.error}`);
+                            return;
+                        }
+                    }
+                    emit(src);
                 } else if (mnemonic) {
-                    errors.push(`Line ${lineNum}: Unknown instruction '${mnemonic}'`);
+                    errors.push(`${at}: Unknown instruction '${mnemonic}'`);
                     return;
                 }
             }
-            
-            lineMap.push({ lineNum, lc: LC - 1, mnemonic });
+        });
+
+        exported.forEach(({ name, at }) => {
+            if (externals.has(name)) {
+                errors.push(`${at}: Cannot export external symbol '${name}'`);
+            } else if (lookup(name) === undefined) {
+                errors.push(`${at}: Cannot export undefined symbol '${name}'`);
+            }
         });
 
         // If Pass 1 has errors, return early
@@ -194,6 +876,7 @@ const Assembler = {
                 machineCode: {},
                 startAddress: 0,
                 labels,
+                equates,
                 errors,
                 usageMap: {}
             };
@@ -203,18 +886,48 @@ const Assembler = {
         LC = 0;
         let startAddress = null;
         const pass2Lines = [];
+        const listing = []; // One entry per (expanded) source line
+        const references = {}; // Symbol -> source lines that use it
 
-        lines.forEach((line, index) => {
-            const lineNum = index + 1;
-            let cleanLine = line.split('/')[0].trim().toUpperCase();
+        lines.forEach((src) => {
+            const lineNum = src.lineNum;
+            const at = Assembler.lineRef(src);
+            let cleanLine = Assembler.cleanLine(src.text);
+
+            const entry = { lineNum, file: src.file, origin: src.origin, macro: src.macro, source: src.text, address: null, word: null };
+            listing.push(entry);
             if (!cleanLine) return;
 
+            // Resolve symbols for this line, recording the cross-reference
+            const lookupRef = (name) => {
+                const value = lookup(name);
+                if (value !== undefined) {
+                    const refs = references[name] || (references[name] = []);
+                    if (refs[refs.length - 1] !== position(src)) refs.push(position(src));
+                }
+                return value;
+            };
+
             // Construct basic Line Info for Usage Map
             let currentLineInfo = { type: 'instruction', val: null, instruction: '', lineNum };
 
             // Remove Label if present
-            if (cleanLine.includes(',')) {
-                cleanLine = cleanLine.split(',')[1].trim();
+            let label = null;
+            const comma = Assembler.isSymbolList(cleanLine) ? -1 : cleanLine.search(/[,'"]/);
+            if (comma >= 0 && cleanLine[comma] === ',') {
+                label = cleanLine.slice(0, comma).trim();
+                cleanLine = cleanLine.slice(comma + 1).trim();
+            }
+            if (!cleanLine) { // Label-only line (e.g. before a macro expansion)
+                entry.address = LC;
+                return;
+            }
+
+            // Constants were defined in pass 1; list their value
+            const equate = /^EQU(\s|$)/.test(cleanLine) ? { name: label } : Assembler.parseEquate(cleanLine);
+            if (equate) {
+                entry.value = equates[equate.name];
+                return;
             }
 
             const tokens = cleanLine.split(/\s+/);
@@ -222,49 +935,95 @@ const Assembler = {
             currentLineInfo.instruction = mnemonic;
 
             if (mnemonic === 'ORG') {
-                LC = parseInt(tokens[1], 16);
+                LC = Assembler.evaluate(tokens.slice(1).join(' '), lookupRef, 16, true).value;
                 if (startAddress === null) startAddress = LC;
+                entry.address = LC;
                 currentLineInfo.type = 'ORG';
                 currentLineInfo.val = LC;
             } else if (mnemonic === 'END') {
                 currentLineInfo.type = 'END';
+            } else if (mnemonic === 'EXTERN' || mnemonic === 'EXPORT') {
+                return; // Symbol declarations, no words
             } else if (mnemonic === 'HEX') {
-                const val = parseInt(tokens[1], 16);
-                machineCode[Utils.decToHex(LC, 3)] = Utils.decToHex(val, 4);
+                const res = Assembler.evaluate(tokens.slice(1).join(' '), lookupRef, 16, true);
+                const relocated = res.error ? null : relocate(res, 'word', at, tokens.slice(1).join(' '));
+                if (res.error) {
+                    errors.push(`${at}: ${res.error}`);
+                } else if (relocated === false && (res.value < 0 || res.value > 0xFFFF)) {
+                    errors.push(`${at}: HEX value ${tokens.slice(1).join(' ')} exceeds 16-bit range`);
+                } else if (relocated !== null) {
+                    machineCode[Utils.decToHex(LC, 3)] = Utils.decToHex(res.value, 4);
+                }
+                entry.address = LC;
                 LC++;
             } else if (mnemonic === 'DEC') {
-                let val = parseInt(tokens[1], 10);
-                if (val < 0) val = 0xFFFF + val + 1; // Two's complement
-                machineCode[Utils.decToHex(LC, 3)] = Utils.decToHex(val, 4);
+                const res = Assembler.evaluate(tokens.slice(1).join(' '), lookupRef, 10);
+                const relocated = res.error ? null : relocate(res, 'word', at, tokens.slice(1).join(' '));
+                if (res.error) {
+                    errors.push(`${at}: ${res.error}`);
+                } else if (relocated === false && (res.value > 32767 || res.value < -32768)) {
+                    errors.push(`${at}: DEC value ${tokens.slice(1).join(' ')} out of 16-bit signed range (-32768 to 32767)`);
+                } else if (relocated !== null) {
+                    // decToHex masks to 16 bits, giving two's complement for negatives
+                    machineCode[Utils.decToHex(LC, 3)] = Utils.decToHex(res.value, 4);
+                }
+                entry.address = LC;
+                LC++;
+            } else if (mnemonic === 'CHR') {
+                const res = Assembler.evaluate(tokens.slice(1).join(' '), lookupRef, 16);
+                if (res.error) {
+                    errors.push(`${at}: ${res.error}`);
+                } else if (res.value < 0 || res.value > 0xFF) {
+                    errors.push(`${at}: CHR value ${tokens.slice(1).join(' ')} is not an 8-bit character (00-FF)`);
+                } else if (!isAbsolute(res)) {
+                    errors.push(`${at}: CHR value cannot be a relocatable address or external`);
+                } else {
+                    machineCode[Utils.decToHex(LC, 3)] = Utils.decToHex(res.value, 4);
+                }
+                entry.address = LC;
                 LC++;
+            } else if (mnemonic === 'STR' || mnemonic === 'STRZ') {
+                const { codes } = Assembler.parseString(cleanLine.slice(mnemonic.length).trim());
+                if (mnemonic === 'STRZ') codes.push(0);
+                entry.address = LC;
+                entry.words = codes.map((code, i) => {
+                    const word = Utils.decToHex(code, 4);
+                    machineCode[Utils.decToHex(LC + i, 3)] = word;
+                    return word;
+                });
+                entry.word = entry.words[0];
+                currentLineInfo.size = codes.length;
+                LC += codes.length;
+            } else if (mnemonic === 'BSS' || mnemonic === 'DS') {
+                // Reserved words are left out of machineCode (memory starts cleared)
+                const size = Assembler.evaluate(tokens.slice(1).join(' '), lookupRef, 10).value;
+                entry.address = LC;
+                currentLineInfo.size = size;
+                LC += size;
             } else {
                 // Instruction lookup
                 const instr = Assembler.INSTRUCTION_SET[mnemonic];
                 if (instr) {
                     let hex = "0000";
                     if (instr.type === 'RRI' || instr.type === 'IO') {
-                        hex = instr.hex;
+                        // One or more mnemonics, validated in pass 1
+                        hex = Utils.decToHex(Assembler.combine(tokens).value, 4);
                     } else if (instr.type === 'MRI') {
-                        // MRI Logic - operand already validated in Pass 1
+                        // MRI Logic - operand presence already validated in Pass 1
                         let address = "000";
-                        let indirect = false;
+                        const { expr, indirect } = parseOperand(tokens);
                         
-                        const operand = tokens[1].toUpperCase();
-                        
-                        // Check if operand is a label FIRST, then hex address
-                        // This is important because labels like 'A', 'B', 'C' are valid hex!
-                        if (labels.hasOwnProperty(operand)) {
-                            // It's a defined label
-                            address = Utils.decToHex(labels[operand], 3);
-                        } else if (Assembler.isValidHex(operand) && operand.length <= 3) {
-                            // Direct hex address
-                            address = operand.padStart(3, '0');
-                        } else {
-                            errors.push(`Line ${lineNum}: Undefined label '${operand}'`);
-                        }
-                        
-                        if (tokens.length > 2 && tokens[2] === 'I') {
-                            indirect = true;
+                        // Labels are looked up before hex literals, since
+                        // labels like 'A', 'B', 'C' are valid hex too
+                        const res = Assembler.evaluate(expr, lookupRef, 16);
+                        const relocated = res.error ? null : relocate(res, 'address', at, expr);
+                        if (res.error) {
+                            errors.push(`${at}: ${res.error}`);
+                        } else if (relocated === false && (res.value < 0 || res.value > 0xFFF)) {
+                            errors.push(`${at}: Address ${expr} = ${res.value < 0 ? '-' : ''}${Utils.decToHex(Math.abs(res.value), 3)} out of range (000-FFF)`);
+                        } else if (relocated !== null) {
+                            // A relocated offset outside 000-FFF is kept as the relocation's addend
+                            address = Utils.decToHex(res.value & 0xFFF, 3);
                         }
                         
                         let opcodeVal = instr.opcode;
@@ -273,22 +1032,164 @@ const Assembler = {
                         hex = firstDigit.toString(16).toUpperCase() + address;
                     }
                     machineCode[Utils.decToHex(LC, 3)] = hex;
+                    entry.address = LC;
                     LC++;
                 }
             }
             pass2Lines.push(currentLineInfo);
+            if (entry.address !== null && entry.word === null && currentLineInfo.type === 'instruction') {
+                entry.word = machineCode[Utils.decToHex(entry.address, 3)] || null;
+            }
+        });
+
+        // Address -> source line (macro expansions map to the invocation line);
+        // addresses filled by included files also get their file name
+        const sourceMap = {};
+        const sourceFiles = {};
+        listing.forEach(entry => {
+            const count = entry.words ? entry.words.length : (entry.word !== null ? 1 : 0);
+            for (let i = 0; i < count; i++) {
+                sourceMap[entry.address + i] = entry.lineNum;
+                if (entry.file !== mainFile) sourceFiles[entry.address + i] = entry.file;
+            }
         });
 
+        const symbols = Object.keys(definedAt).sort().map(name => ({
+            name,
+            type: equates.hasOwnProperty(name) ? 'equ' : (externals.has(name) ? 'extern' : 'label'),
+            value: lookup(name),
+            line: definedAt[name],
+            references: references[name] || []
+        }));
+
+        // Memory map: where each block of code and data ended up
+        const segmentMap = segments.map(seg => ({ start: seg.start, end: seg.end, words: seg.words, line: position(seg.src) }));
+
+        // Object module; addresses and values are hex, as in machineCode
+        let object = null;
+        if (options.object && errors.length === 0) {
+            object = {
+                format: Assembler.OBJECT_FORMAT,
+                version: Assembler.OBJECT_VERSION,
+                name: mainFile,
+                relocatable,
+                // Words a relocatable module occupies, reserved (BSS) ones included
+                size: relocatable ? segments.reduce((size, seg) => Math.max(size, seg.end + 1), 0) : 0,
+                start: Utils.decToHex(startAddress !== null ? startAddress : 0, 3),
+                words: { ...machineCode },
+                exports: {},
+                externals: [...externals],
+                relocations
+            };
+            exported.forEach(({ name }) => {
+                object.exports[name] = { value: Utils.decToHex(lookup(name), 4), relocatable: relocatable && labels.hasOwnProperty(name) };
+            });
+        }
+
         return {
             success: errors.length === 0,
             machineCode,
             startAddress: startAddress !== null ? startAddress : 0,
             labels,
+            equates,
             errors,
-            usageMap: Assembler.generateUsageMap(pass2Lines, startAddress !== null ? startAddress : 0)
+            usageMap: Assembler.generateUsageMap(pass2Lines, startAddress !== null ? startAddress : 0),
+            listing,
+            symbols,
+            sourceMap,
+            sourceFiles,
+            segments: segmentMap,
+            object
         };
     },
 
+    /**
+     * Formats an assembler listing: every source line with its address and
+     * machine word, macro expansions indented under their invocation
+     * (marked '+'), followed by the symbol table with cross-references.
+     * @param {string} code - Assembly source code that was assembled
+     * @param {Object} result - Result of Assembler.assemble(code)
+     * @param {string} [title='source.asm'] - Name shown in the header
+     * @returns {string} Plain-text listing
+     */
+    formatListing: (code, result, title = 'source.asm') => {
+        const out = [];
+        const pad = (text, width) => String(text).padEnd(width);
+        const hex = (value, width) => value === null || value === undefined ? '' : Utils.decToHex(value, width);
+
+        out.push(`SARBA Assembler Listing - ${title}`);
+        out.push('');
+        out.push(' Line  Addr  Code  Source');
+
+        const byLine = {};
+        (result.listing || []).forEach(entry => {
+            (byLine[entry.origin] || (byLine[entry.origin] = [])).push(entry);
+        });
+
+        const row = (lineNum, address, word, source, marker = ' ') =>
+            `${String(lineNum).padStart(5)}${marker} ${pad(address, 4)}  ${pad(word, 4)}  ${source}`;
+        const wordOf = (entry) => entry.value !== undefined ? `=${hex(entry.value, 3)}` : (entry.word || '');
+        // Strings fill several words; the words after the first get rows of their own
+        const moreWords = (entry, marker) => (entry.words || []).slice(1).forEach((word, i) => {
+            out.push(row('', hex(entry.address + i + 1, 3), word, '', marker));
+        });
+
+        code.split('\n').forEach((source, index) => {
+            const lineNum = index + 1;
+            const entries = byLine[lineNum] || [];
+            const expanded = entries.length !== 1 || entries[0].macro || entries[0].lineNum !== lineNum ||
+                entries[0].source !== source;
+
+            if (!expanded) {
+                out.push(row(lineNum, hex(entries[0].address, 3), wordOf(entries[0]), source));
+                moreWords(entries[0], ' ');
+                return;
+            }
+            // Macro definitions, invocations and INCLUDEs: source first, then the generated lines
+            out.push(row(lineNum, '', '', source));
+            entries.forEach((entry, i) => {
+                // The newline ending an included file does not start another line
+                const last = i === entries.length - 1 || entries[i + 1].file !== entry.file;
+                if (last && !entry.macro && entry.source.trim() === '') return;
+                out.push(row('', hex(entry.address, 3), wordOf(entry), entry.source.trim(), '+'));
+                moreWords(entry, '+');
+            });
+        });
+
+        if (result.errors && result.errors.length > 0) {
+            out.push('');
+            out.push(`${result.errors.length} error(s):`);
+            result.errors.forEach(err => out.push(`  ${err}`));
+        }
+
+        // Line columns fit "file:line" references to included files
+        const lineWidth = (items) => Math.max(4, ...items.map(item => String(item.line).length));
+
+        out.push('');
+        out.push('Segments');
+        out.push('');
+        const segments = result.segments || [];
+        const segWidth = lineWidth(segments);
+        out.push(`Start  End   Words  ${'Line'.padStart(segWidth)}`);
+        segments.forEach(seg => {
+            out.push(`${pad(hex(seg.start, 3), 7)}${pad(hex(seg.end, 3), 6)}${String(seg.words).padStart(5)}  ${String(seg.line).padStart(segWidth)}`);
+        });
+
+        out.push('');
+        out.push('Symbol Table');
+        out.push('');
+        const symbols = result.symbols || [];
+        const symWidth = lineWidth(symbols);
+        out.push(`Symbol            Value  Type   ${'Line'.padStart(symWidth)}  References`);
+        symbols.forEach(sym => {
+            const value = sym.type === 'equ' ? hex(sym.value, 4) : hex(sym.value, 3);
+            out.push(`${pad(sym.name, 18)}${pad(value, 7)}${pad(sym.type, 7)}` +
+                `${String(sym.line).padStart(symWidth)}  ${sym.references.join(', ') || '(unused)'}`);
+        });
+
+        return out.join('\n') + '\n';
+    },
+
     /**
      * Generates a map of memory addresses to their usage type (code/data)
      * @param {Array} lines - Processed line information
@@ -305,16 +1206,23 @@ const Assembler = {
                 // end - no action
             } else {
                 // Instruction or Data?
-                // Pseudo ops DEC/HEX are data.
+                // Pseudo ops (DEC, HEX, CHR, STR, BSS, ...) are data.
                 // Others (MRI, RRI, IO) are code.
                 let type = 'code';
-                if (line.instruction === 'DEC' || line.instruction === 'HEX') {
+                if (Assembler.DATA_DIRECTIVES.includes(line.instruction)) {
                     type = 'data';
                 }
-                map[lc] = type;
-                lc++;
+                for (let i = 0; i < (line.size || 1); i++) {
+                    map[lc] = type;
+                    lc++;
+                }
             }
         }
         return map;
     }
 };
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Assembler;
+}
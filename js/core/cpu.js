@@ -10,66 +10,110 @@ class CPU {
     /**
      * Creates a new CPU instance
      * @param {Memory} memory - The memory module to use
+     * @param {IOBus} [bus] - Devices (default: keyboard, teleprinter and LED panel)
      */
-    constructor(memory) {
+    constructor(memory, bus = new IOBus()) {
         this.memory = memory;
+        this.bus = bus;
         this.reset();
-        
-        // Callback for I/O operations
-        this.onOutput = null;  // Called when OUT instruction executes
-        this.onInputRequired = null;  // Called when INP needs input
+
+        // Debugging aids (kept across reset so they survive re-assembly)
+        this.breakpoints = new Set();  // Instruction addresses (integers)
+        this.watchpoints = new Map();  // Address (integer) -> 'read' | 'write' | 'change'
+
+        // Optional Profiler notified of fetches, data accesses and cycles
+        this.profiler = null;
     }
 
     /**
      * Resets all CPU registers and flags to initial state
      */
     reset() {
-        // Registers (all stored as uppercase hex strings)
-        this.PC = "000"; // 12-bit Program Counter
-        this.AR = "000"; // 12-bit Address Register
-        this.IR = "0000"; // 16-bit Instruction Register
-        this.DR = "0000"; // 16-bit Data Register
-        this.AC = "0000"; // 16-bit Accumulator
-        this.TR = "0000"; // 16-bit Temporary Register
-
-        // Input/Output Registers
-        this.INPR = "00"; // 8-bit Input Register
-        this.OUTR = "00"; // 8-bit Output Register
+        // Registers (stored as integers; format with Utils.decToHex for display)
+        this.PC = 0; // 12-bit Program Counter
+        this.AR = 0; // 12-bit Address Register
+        this.IR = 0; // 16-bit Instruction Register
+        this.DR = 0; // 16-bit Data Register
+        this.AC = 0; // 16-bit Accumulator
+        this.TR = 0; // 16-bit Temporary Register
 
         // Flags
         this.I = false;   // Indirect Bit (from IR[15])
         this.S = false;   // Start/Stop Flip-Flop
         this.E = false;   // Carry Bit (Extended AC)
         this.IEN = false; // Interrupt Enable
-        this.FGI = false; // Input Flag (set when input available)
-        this.FGO = true;  // Output Flag (set when output device ready) - starts ready
         this.R = false;   // Interrupt Request Flag
 
+        // Devices: INPR/FGI (keyboard), OUTR/FGO (teleprinter), mask register
+        this.bus.reset();
+
         // Sequence Counter (T-State: 0-6)
         this.SC = 0;
 
         // Internal State for Simulation
         this.status = "Stopped"; // Running, Suspended, Stopped
         this.waitingForInput = false; // True when INP needs input
+        this.skipBreakpoint = false; // True after a breakpoint was reported at PC
+        this.watchHit = null; // Watchpoint triggered during the current micro-op
+    }
+
+    // Mano's I/O registers and flags belong to the keyboard and teleprinter
+    get INPR() { return this.bus.keyboard.INPR; }
+    set INPR(value) { this.bus.keyboard.INPR = value; }
+    get FGI() { return this.bus.keyboard.FGI; }
+    set FGI(value) { this.bus.keyboard.FGI = value; }
+    get OUTR() { return this.bus.teleprinter.OUTR; }
+    set OUTR(value) { this.bus.teleprinter.OUTR = value; }
+    get FGO() { return this.bus.teleprinter.FGO; }
+    set FGO(value) { this.bus.teleprinter.FGO = value; }
+
+    /**
+     * Captures all registers, flags and sequencing state, devices included
+     * @returns {Object} Plain object that can be passed to restoreState()
+     */
+    saveState() {
+        return {
+            PC: this.PC, AR: this.AR, IR: this.IR, DR: this.DR, AC: this.AC, TR: this.TR,
+            INPR: this.INPR, OUTR: this.OUTR,
+            I: this.I, S: this.S, E: this.E, IEN: this.IEN, FGI: this.FGI, FGO: this.FGO, R: this.R,
+            devices: this.bus.saveState(),
+            SC: this.SC,
+            status: this.status,
+            waitingForInput: this.waitingForInput,
+            skipBreakpoint: this.skipBreakpoint
+        };
+    }
+
+    /**
+     * Restores state captured by saveState()
+     * @param {Object} state - Saved CPU state
+     */
+    restoreState(state) {
+        // Devices first, so registers saved without them (older snapshots) still apply
+        const { devices, ...registers } = state;
+        if (devices) this.bus.restoreState(devices);
+        Object.assign(this, registers);
+        this.watchHit = null;
     }
 
     /**
      * Sets the Program Counter to start address
-     * @param {string} hexAddr - Hex address string
+     * @param {string|number} address - Hex address string or integer
      */
-    setPC(hexAddr) {
-        this.PC = Utils.decToHex(parseInt(hexAddr, 16), 3);
+    setPC(address) {
+        const addr = typeof address === 'string' ? parseInt(address, 16) : address;
+        this.PC = addr & 0xFFF;
         this.S = true; // Ready to start
         this.status = "Running";
     }
 
     /**
-     * Sets input data and raises input flag
+     * Types a character on the keyboard (INPR <- code, FGI <- 1) and ends
+     * a wait for input
      * @param {number} charCode - ASCII character code (0-255)
      */
     setInput(charCode) {
-        this.INPR = Utils.decToHex(charCode & 0xFF, 2);
-        this.FGI = true;
+        this.bus.keyboard.press(charCode);
         this.waitingForInput = false;
     }
 
@@ -77,8 +121,7 @@ class CPU {
      * Clears the input flag and register
      */
     clearInput() {
-        this.INPR = "00";
-        this.FGI = false;
+        this.bus.keyboard.clear();
     }
 
     /**
@@ -86,10 +129,11 @@ class CPU {
      * @returns {boolean} True if interrupt condition met
      */
     checkInterrupt() {
-        // Interrupt occurs when IEN=1 and (FGI=1 or FGO=1)
+        // Interrupt occurs when IEN=1 and an unmasked device requests one
+        // (FGI=1 or FGO=1 on the standard devices).
         // R is set at the end of instruction cycle (when SC becomes 0)
         // This function checks if interrupt condition is met and sets R flag
-        if (this.IEN && (this.FGI || this.FGO)) {
+        if (this.IEN && this.bus.interruptRequested()) {
             this.R = true;
             return true;
         }
@@ -98,70 +142,222 @@ class CPU {
     }
 
     /**
-     * Executes one micro-operation (single clock pulse)
-     * @returns {Object} Result with state, message, and register values
+     * Advances device timing by one clock cycle (e.g. the teleprinter sets
+     * FGO once it has been busy for its latency after an OUT)
+     */
+    tickDevices() {
+        this.bus.tick();
+    }
+
+    /**
+     * Toggles a breakpoint on an instruction address
+     * @param {string|number} address - Hex string or integer address
+     * @returns {boolean} True if the breakpoint is now set
+     */
+    toggleBreakpoint(address) {
+        const addr = typeof address === 'string' ? parseInt(address, 16) : address;
+        if (this.breakpoints.has(addr)) {
+            this.breakpoints.delete(addr);
+            return false;
+        }
+        this.breakpoints.add(addr);
+        return true;
+    }
+
+    /**
+     * Sets a watchpoint on a memory address
+     * @param {string|number} address - Hex string or integer address
+     * @param {string} mode - 'read', 'write' or 'change' (write of a different value)
+     */
+    setWatchpoint(address, mode) {
+        const addr = typeof address === 'string' ? parseInt(address, 16) : address;
+        this.watchpoints.set(addr, mode);
+    }
+
+    /**
+     * Removes the watchpoint on a memory address
+     * @param {string|number} address - Hex string or integer address
+     */
+    removeWatchpoint(address) {
+        const addr = typeof address === 'string' ? parseInt(address, 16) : address;
+        this.watchpoints.delete(addr);
+    }
+
+    /**
+     * Reads a word as the memory bus sees it: a device register for mapped
+     * addresses in the I/O page, memory otherwise
+     * @param {number} address - Address (0-4095)
+     * @returns {number} 16-bit word
+     */
+    loadWord(address) {
+        return this.bus.isMapped(address) ? this.bus.read(address) : this.memory.readWord(address);
+    }
+
+    /**
+     * Reads a data word from memory, checking read watchpoints
+     * @param {number} address - Address (0-4095)
+     * @returns {number} 16-bit word
+     */
+    readMemory(address) {
+        const value = this.loadWord(address);
+        if (this.profiler) this.profiler.recordRead(address);
+        if (this.watchpoints.size > 0 && this.watchpoints.get(address) === 'read') {
+            this.watchHit = {
+                address: Utils.decToHex(address, 3),
+                mode: 'read',
+                value: Utils.decToHex(value, 4)
+            };
+        }
+        return value;
+    }
+
+    /**
+     * Writes a data word to memory, checking write/change watchpoints
+     * @param {number} address - Address (0-4095)
+     * @param {number} value - 16-bit word
+     */
+    writeMemory(address, value) {
+        if (this.profiler) this.profiler.recordWrite(address);
+        if (this.watchpoints.size > 0) {
+            const mode = this.watchpoints.get(address);
+            const oldValue = this.loadWord(address);
+            if (mode === 'write' || (mode === 'change' && oldValue !== value)) {
+                this.watchHit = {
+                    address: Utils.decToHex(address, 3),
+                    mode,
+                    oldValue: Utils.decToHex(oldValue, 4),
+                    value: Utils.decToHex(value, 4)
+                };
+            }
+        }
+        if (this.bus.isMapped(address)) {
+            this.bus.write(address, value);
+        } else {
+            this.memory.writeWord(address, value);
+        }
+    }
+
+    /**
+     * Executes one micro-operation (single clock pulse), stopping at
+     * breakpoints and watchpoints
+     * @returns {Object} Result with state, message, and register values.
+     * state is 'Break' when a breakpoint or watchpoint was hit.
      */
     step() {
+        this.watchHit = null;
+        const res = this.executeMicroOp();
+
+        // Only results carrying SC come from a micro-op that actually ran
+        if (this.profiler && res.sc !== undefined && !res.breakpoint) {
+            this.profiler.recordCycle(this, res);
+        }
+
+        if (this.watchHit && res.state === 'Run') {
+            res.state = 'Break';
+            res.watch = this.watchHit;
+        }
+        return res;
+    }
+
+    /**
+     * Executes one micro-operation without debugger checks on its result
+     * @returns {Object} Result with state, message, and register values
+     */
+    executeMicroOp() {
         if (!this.S) {
             return { state: 'Halt', msg: 'System Halted' };
         }
 
-        // Check for waiting on input
+        // Waiting on input: the clock keeps running, so devices advance and
+        // an interrupt (e.g. from the timer) can end the wait
         if (this.waitingForInput) {
+            this.tickDevices();
+            if (this.checkInterrupt()) {
+                // Abandon the INP and point PC back at it: the interrupt cycle
+                // saves that address, so INP runs again after the service routine.
+                // A waiting INP stops its word before any other bit acts (no
+                // skip has moved PC), so only the T1 increment is undone.
+                this.waitingForInput = false;
+                this.PC = (this.PC - 1) & 0xFFF;
+                this.SC = 0;
+                return {
+                    state: 'Run',
+                    msg: `Interrupt while waiting for input: INP at ${Utils.decToHex(this.PC, 3)} abandoned, R ← 1`
+                };
+            }
             return { state: 'WaitInput', msg: 'Waiting for input (FGI=0)' };
         }
 
+        // Stop before starting an instruction at a breakpoint address (once).
+        // Checked before the clock pulse so breaking does not shift device timing.
+        if (this.SC === 0 && !this.R && !this.skipBreakpoint && this.breakpoints.has(this.PC)) {
+            this.skipBreakpoint = true;
+            return {
+                state: 'Break',
+                msg: `Breakpoint at ${Utils.decToHex(this.PC, 3)}`,
+                sc: this.SC,
+                pc: this.PC,
+                ar: this.AR,
+                breakpoint: true
+            };
+        }
+
+        // This step is a clock pulse: advance device timing
+        this.tickDevices();
+
         let msg = "";
 
-        // Interrupt Cycle (when R=1)
-        if (this.R && this.SC === 0) {
+        // Interrupt Cycle (when R=1): RT0-RT2 replace the fetch cycle
+        if (this.R) {
             return this.executeInterruptCycle();
         }
 
         switch (this.SC) {
             case 0: // T0: AR <- PC
+                this.skipBreakpoint = false;
                 // Check for interrupt at start of new instruction
                 if (this.checkInterrupt()) {
                     return this.executeInterruptCycle();
                 }
                 this.AR = this.PC;
-                msg = `T0: AR ← PC (${this.PC})`;
+                msg = `T0: AR ← PC (${Utils.decToHex(this.PC, 3)})`;
                 this.SC = 1;
                 break;
 
             case 1: // T1: IR <- M[AR], PC <- PC + 1
-                this.IR = this.memory.read(this.AR);
-                this.PC = Utils.incrementHex(this.PC).slice(-3); // Keep 12 bits
-                msg = `T1: IR ← M[${this.AR}], PC ← PC+1`;
+                // Instruction fetches go through the bus like data reads, so
+                // a jump into the I/O page fetches the device register
+                this.IR = this.loadWord(this.AR);
+                if (this.profiler) this.profiler.recordFetch(this.AR);
+                this.PC = (this.PC + 1) & 0xFFF; // Keep 12 bits
+                msg = `T1: IR ← M[${Utils.decToHex(this.AR, 3)}], PC ← PC+1`;
                 this.SC = 2;
                 break;
 
             case 2: // T2: Decode -> AR <- IR(0-11), I <- IR(15)
                 {
-                    let irVal = parseInt(this.IR, 16);
-                    this.AR = (irVal & 0x0FFF).toString(16).toUpperCase().padStart(3, '0');
-                    this.I = (irVal & 0x8000) !== 0; // Bit 15
+                    this.AR = this.IR & 0x0FFF;
+                    this.I = (this.IR & 0x8000) !== 0; // Bit 15
 
-                    let opcode = (irVal & 0x7000) >> 12;
-                    msg = `T2: Decode Opcode ${opcode}, AR ← ${this.AR}, I ← ${this.I ? 1 : 0}`;
+                    let opcode = (this.IR & 0x7000) >> 12;
+                    msg = `T2: Decode Opcode ${opcode}, AR ← ${Utils.decToHex(this.AR, 3)}, I ← ${this.I ? 1 : 0}`;
                     this.SC = 3;
                 }
                 break;
 
             case 3: // T3: Indirect addressing or RRI/IO execution
                 {
-                    let irVal = parseInt(this.IR, 16);
-                    let opcode = (irVal & 0x7000) >> 12;
+                    let opcode = (this.IR & 0x7000) >> 12;
                     let type = 'MRI';
                     if (opcode === 7) type = this.I ? 'IO' : 'RRI';
 
                     if (type === 'MRI') {
                         if (this.I) {
                             // Indirect: AR <- M[AR]
-                            let ptr = this.memory.read(this.AR);
+                            let ptr = this.readMemory(this.AR);
                             let oldAR = this.AR;
-                            this.AR = ptr.slice(-3);
-                            msg = `T3: Indirect: AR ← M[${oldAR}] = ${this.AR}`;
+                            this.AR = ptr & 0x0FFF;
+                            msg = `T3: Indirect: AR ← M[${Utils.decToHex(oldAR, 3)}] = ${Utils.decToHex(this.AR, 3)}`;
                             this.SC = 4;
                         } else {
                             msg = `T3: Direct addressing (no change)`;
@@ -182,7 +378,7 @@ class CPU {
                         this.SC = 0; // End of instruction
                         
                         // Check for interrupt at end of instruction cycle
-                        // R flag is set if IEN=1 and (FGI=1 or FGO=1)
+                        // R flag is set if IEN=1 and a device requests an interrupt
                         this.checkInterrupt();
                     }
                 }
@@ -215,27 +411,43 @@ class CPU {
     }
 
     /**
-     * Executes the interrupt cycle
+     * Executes one timing step of the interrupt cycle (R=1)
      * @returns {Object} Result with state and message
      */
     executeInterruptCycle() {
-        // Interrupt Cycle: RT0, RT1, RT2
-        // RT0: AR <- 0, TR <- PC
-        // RT1: M[AR] <- TR, PC <- 0
-        // RT2: PC <- PC + 1, IEN <- 0, R <- 0, SC <- 0
-        
-        // Simplified: Execute entire interrupt cycle in one step
-        this.TR = "0" + this.PC; // Store PC in TR (pad to 4 digits)
-        this.AR = "000";
-        this.memory.write("000", this.TR); // Store return address at M[0]
-        this.PC = "001"; // Jump to interrupt service routine at address 1
-        this.IEN = false;
-        this.R = false;
-        this.SC = 0;
-        
+        let msg = "";
+
+        switch (this.SC) {
+            case 0: // RT0: AR <- 0, TR <- PC
+                this.AR = 0;
+                this.TR = this.PC;
+                msg = `RT0: AR ← 0, TR ← PC (${Utils.decToHex(this.TR, 4)})`;
+                this.SC = 1;
+                break;
+
+            case 1: // RT1: M[AR] <- TR, PC <- 0
+                this.writeMemory(this.AR, this.TR); // Save return address at M[0]
+                this.PC = 0;
+                msg = `RT1: M[${Utils.decToHex(this.AR, 3)}] ← TR (${Utils.decToHex(this.TR, 4)}), PC ← 0`;
+                this.SC = 2;
+                break;
+
+            case 2: // RT2: PC <- PC + 1, IEN <- 0, R <- 0, SC <- 0
+                this.PC = (this.PC + 1) & 0xFFF;
+                this.IEN = false;
+                this.R = false;
+                msg = `RT2: PC ← PC+1 (${Utils.decToHex(this.PC, 3)}), IEN ← 0, R ← 0`;
+                this.SC = 0;
+                break;
+
+            default:
+                msg = `Error: Invalid SC=${this.SC} in interrupt cycle`;
+                this.SC = 0;
+        }
+
         return {
             state: 'Run',
-            msg: `Interrupt: M[0] ← PC, PC ← 001, IEN ← 0`,
+            msg: msg,
             sc: this.SC,
             pc: this.PC,
             ar: this.AR,
@@ -249,140 +461,120 @@ class CPU {
      * @returns {Object} Result with message and optional waitInput flag
      */
     executeRegisterOrIO(type) {
-        let irVal = parseInt(this.IR, 16);
-        let msg = "";
-        let waitInput = false;
+        let irVal = this.IR;
+        const ops = []; // One message per operation; combined words list them all
 
         if (type === 'RRI') {
             // Register Reference (Bit 15=0, Opcode=111) -> 7XXX
             // Bits 0-11 define operation
             if (irVal & 0x800) { 
-                this.AC = "0000"; 
-                msg = "CLA: AC ← 0"; 
+                this.AC = 0; 
+                ops.push("CLA: AC ← 0"); 
             }
             if (irVal & 0x400) { 
                 this.E = false; 
-                msg = "CLE: E ← 0"; 
+                ops.push("CLE: E ← 0"); 
             }
             if (irVal & 0x200) { 
-                this.AC = Utils.complementHex(this.AC); 
-                msg = "CMA: AC ← AC'"; 
+                this.AC = ~this.AC & 0xFFFF; 
+                ops.push("CMA: AC ← AC'"); 
             }
             if (irVal & 0x100) { 
                 this.E = !this.E; 
-                msg = "CME: E ← E'"; 
+                ops.push("CME: E ← E'"); 
             }
             if (irVal & 0x080) { // CIR
-                let acVal = parseInt(this.AC, 16);
-                let lowBit = acVal & 1;
-                let newAc = (acVal >> 1) | (this.E ? 0x8000 : 0);
-                this.AC = Utils.decToHex(newAc, 4);
+                let lowBit = this.AC & 1;
+                this.AC = (this.AC >> 1) | (this.E ? 0x8000 : 0);
                 this.E = lowBit === 1;
-                msg = "CIR: Circulate Right";
+                ops.push("CIR: Circulate Right");
             }
             if (irVal & 0x040) { // CIL
-                let acVal = parseInt(this.AC, 16);
-                let highBit = (acVal & 0x8000) !== 0;
-                let newAc = ((acVal << 1) & 0xFFFF) | (this.E ? 1 : 0);
-                this.AC = Utils.decToHex(newAc, 4);
+                let highBit = (this.AC & 0x8000) !== 0;
+                this.AC = ((this.AC << 1) & 0xFFFF) | (this.E ? 1 : 0);
                 this.E = highBit;
-                msg = "CIL: Circulate Left";
+                ops.push("CIL: Circulate Left");
             }
             if (irVal & 0x020) { 
-                this.AC = Utils.incrementHex(this.AC); 
-                msg = "INC: AC ← AC + 1"; 
+                this.AC = (this.AC + 1) & 0xFFFF; 
+                ops.push("INC: AC ← AC + 1"); 
             }
 
-            // Skip instructions
+            // Skip instructions (any true condition skips once)
             let skip = false;
-            let acVal = parseInt(this.AC, 16);
-            if ((irVal & 0x010) && (acVal & 0x8000) === 0 && acVal !== 0) { 
-                skip = true; 
-                msg = "SPA: Skip (AC > 0)"; 
-            }
-            if ((irVal & 0x008) && (acVal & 0x8000) !== 0) { 
-                skip = true; 
-                msg = "SNA: Skip (AC < 0)"; 
-            }
-            if ((irVal & 0x004) && acVal === 0) { 
-                skip = true; 
-                msg = "SZA: Skip (AC = 0)"; 
-            }
-            if ((irVal & 0x002) && this.E === false) { 
-                skip = true; 
-                msg = "SZE: Skip (E = 0)"; 
-            }
+            let acVal = this.AC;
+            const test = (bit, name, condition, text) => {
+                if (!(irVal & bit)) return;
+                if (condition) skip = true;
+                ops.push(condition ? `${name}: Skip (${text})` : `${name}: No Skip`);
+            };
+            test(0x010, 'SPA', (acVal & 0x8000) === 0 && acVal !== 0, 'AC > 0');
+            test(0x008, 'SNA', (acVal & 0x8000) !== 0, 'AC < 0');
+            test(0x004, 'SZA', acVal === 0, 'AC = 0');
+            test(0x002, 'SZE', this.E === false, 'E = 0');
 
             if (skip) {
-                this.PC = Utils.incrementHex(this.PC).slice(-3);
+                this.PC = (this.PC + 1) & 0xFFF;
             }
 
             if (irVal & 0x001) { 
                 this.S = false; 
                 this.status = "Stopped";
-                msg = "HLT: System Halted"; 
+                ops.push("HLT: System Halted"); 
             }
 
         } else {
             // IO (Bit 15=1, Opcode=111) -> FXXX
+            const keyboard = this.bus.keyboard;
             if (irVal & 0x800) { // INP
-                if (this.FGI) {
+                if (keyboard.FGI) {
                     // Input available
-                    let charCode = parseInt(this.INPR, 16);
-                    let acVal = parseInt(this.AC, 16) & 0xFF00; // Keep high byte
-                    this.AC = Utils.decToHex(acVal | charCode, 4);
-                    this.FGI = false;
-                    msg = `INP: AC(0-7) ← INPR (${this.INPR})`;
+                    const code = keyboard.take();
+                    this.AC = (this.AC & 0xFF00) | code; // Keep high byte
+                    ops.push(`INP: AC(0-7) ← INPR (${Utils.decToHex(code, 2)})`);
                 } else {
-                    // No input available - need to wait
-                    waitInput = true;
-                    msg = "INP: Waiting for input (FGI=0)";
-                    if (this.onInputRequired) {
-                        this.onInputRequired();
+                    // No input available - need to wait. The whole word runs
+                    // again once input arrives, so the other bits of a
+                    // combined word (INP SKO, INP OUT) must not act yet.
+                    if (keyboard.onInputRequired) {
+                        keyboard.onInputRequired();
                     }
+                    return { msg: 'T3: INP: Waiting for input (FGI=0)', waitInput: true };
                 }
             }
             if (irVal & 0x400) { // OUT
-                this.OUTR = this.AC.slice(-2); // Lower 8 bits (last 2 hex chars)
-                this.FGO = false;
-                msg = `OUT: OUTR ← AC(0-7) (${this.OUTR})`;
-                
-                // Trigger output callback
-                if (this.onOutput) {
-                    this.onOutput(parseInt(this.OUTR, 16));
-                }
-                
-                // Set FGO back to true after a short delay (simulated)
-                // In real hardware, this would be set by the output device
-                setTimeout(() => { this.FGO = true; }, 10);
+                // Lower 8 bits; FGO is set again after the device's latency
+                this.bus.teleprinter.print(this.AC & 0xFF);
+                ops.push(`OUT: OUTR ← AC(0-7) (${Utils.decToHex(this.OUTR, 2)})`);
             }
             if (irVal & 0x200) { // SKI
                 if (this.FGI) {
-                    this.PC = Utils.incrementHex(this.PC).slice(-3);
-                    msg = "SKI: Skip (FGI=1)";
+                    this.PC = (this.PC + 1) & 0xFFF;
+                    ops.push("SKI: Skip (FGI=1)");
                 } else {
-                    msg = "SKI: No Skip (FGI=0)";
+                    ops.push("SKI: No Skip (FGI=0)");
                 }
             }
             if (irVal & 0x100) { // SKO
                 if (this.FGO) {
-                    this.PC = Utils.incrementHex(this.PC).slice(-3);
-                    msg = "SKO: Skip (FGO=1)";
+                    this.PC = (this.PC + 1) & 0xFFF;
+                    ops.push("SKO: Skip (FGO=1)");
                 } else {
-                    msg = "SKO: No Skip (FGO=0)";
+                    ops.push("SKO: No Skip (FGO=0)");
                 }
             }
             if (irVal & 0x080) { 
                 this.IEN = true; 
-                msg = "ION: Interrupt Enabled"; 
+                ops.push("ION: Interrupt Enabled"); 
             }
             if (irVal & 0x040) { 
                 this.IEN = false; 
-                msg = "IOF: Interrupt Disabled"; 
+                ops.push("IOF: Interrupt Disabled"); 
             }
         }
 
-        return { msg: `T3: ${msg}`, waitInput };
+        const msg = ops.join('; ');
+        return { msg: `T3: ${msg}`, waitInput: false };
     }
 
     /**
@@ -390,33 +582,32 @@ class CPU {
      * @returns {string} Description of operation
      */
     executeMRI_T4() {
-        let irVal = parseInt(this.IR, 16);
-        let opcode = (irVal & 0x7000) >> 12;
+        let opcode = (this.IR & 0x7000) >> 12;
 
         switch (opcode) {
             case 0: // AND
             case 1: // ADD
             case 2: // LDA
             case 6: // ISZ
-                this.DR = this.memory.read(this.AR);
+                this.DR = this.readMemory(this.AR);
                 this.SC = 5;
-                return `T4: DR ← M[${this.AR}] (${this.DR})`;
+                return `T4: DR ← M[${Utils.decToHex(this.AR, 3)}] (${Utils.decToHex(this.DR, 4)})`;
 
             case 3: // STA
-                this.memory.write(this.AR, this.AC);
+                this.writeMemory(this.AR, this.AC);
                 this.SC = 0;
                 this.checkInterrupt(); // Check for interrupt at end of instruction
-                return `T4: M[${this.AR}] ← AC (${this.AC})`;
+                return `T4: M[${Utils.decToHex(this.AR, 3)}] ← AC (${Utils.decToHex(this.AC, 4)})`;
 
             case 4: // BUN
                 this.PC = this.AR;
                 this.SC = 0;
                 this.checkInterrupt(); // Check for interrupt at end of instruction
-                return `T4: PC ← AR (${this.AR})`;
+                return `T4: PC ← AR (${Utils.decToHex(this.AR, 3)})`;
 
             case 5: // BSA
-                this.memory.write(this.AR, "0" + this.PC); // Store PC with leading 0
-                this.AR = Utils.incrementHex(this.AR).slice(-3);
+                this.writeMemory(this.AR, this.PC); // Store return address
+                this.AR = (this.AR + 1) & 0xFFF;
                 this.SC = 5;
                 return `T4: M[AR] ← PC, AR ← AR+1`;
 
@@ -432,26 +623,25 @@ class CPU {
      * @returns {string} Description of operation
      */
     executeMRI_T5() {
-        let irVal = parseInt(this.IR, 16);
-        let opcode = (irVal & 0x7000) >> 12;
+        let opcode = (this.IR & 0x7000) >> 12;
         let msg = "";
 
         switch (opcode) {
             case 0: // AND
-                this.AC = Utils.andHex(this.AC, this.DR);
+                this.AC = this.AC & this.DR;
                 this.SC = 0;
                 this.checkInterrupt(); // Check for interrupt at end of instruction
-                msg = `AC ← AC ∧ DR (${this.AC})`;
+                msg = `AC ← AC ∧ DR (${Utils.decToHex(this.AC, 4)})`;
                 break;
 
             case 1: // ADD
                 {
-                    let sum = Utils.addHex(this.AC, this.DR);
-                    this.AC = sum.hex;
-                    this.E = sum.carry;
+                    let sum = this.AC + this.DR;
+                    this.AC = sum & 0xFFFF;
+                    this.E = sum > 0xFFFF;
                     this.SC = 0;
                     this.checkInterrupt(); // Check for interrupt at end of instruction
-                    msg = `AC ← AC + DR (${this.AC}), E=${this.E ? 1 : 0}`;
+                    msg = `AC ← AC + DR (${Utils.decToHex(this.AC, 4)}), E=${this.E ? 1 : 0}`;
                 }
                 break;
 
@@ -459,21 +649,21 @@ class CPU {
                 this.AC = this.DR;
                 this.SC = 0;
                 this.checkInterrupt(); // Check for interrupt at end of instruction
-                msg = `AC ← DR (${this.AC})`;
+                msg = `AC ← DR (${Utils.decToHex(this.AC, 4)})`;
                 break;
 
             case 5: // BSA
                 this.PC = this.AR;
                 this.SC = 0;
                 this.checkInterrupt(); // Check for interrupt at end of instruction
-                msg = `PC ← AR (${this.AR})`;
+                msg = `PC ← AR (${Utils.decToHex(this.AR, 3)})`;
                 break;
 
             case 6: // ISZ
-                this.DR = Utils.incrementHex(this.DR);
-                this.memory.write(this.AR, this.DR);
+                this.DR = (this.DR + 1) & 0xFFFF;
+                this.writeMemory(this.AR, this.DR);
                 this.SC = 6;
-                msg = `DR ← DR+1 (${this.DR}), M[AR] ← DR`;
+                msg = `DR ← DR+1 (${Utils.decToHex(this.DR, 4)}), M[AR] ← DR`;
                 break;
 
             default:
@@ -489,7 +679,7 @@ class CPU {
      */
     executeMRI_T6() {
         // Only ISZ reaches T6
-        let drVal = parseInt(this.DR, 16);
+        let drVal = this.DR;
         
         // IMPORTANT: Always reset SC to 0
         this.SC = 0;
@@ -498,9 +688,14 @@ class CPU {
         this.checkInterrupt();
         
         if (drVal === 0) {
-            this.PC = Utils.incrementHex(this.PC).slice(-3);
+            this.PC = (this.PC + 1) & 0xFFF;
             return `T6: DR=0, PC ← PC+1 (Skip)`;
         }
         return `T6: DR≠0, Continue`;
     }
 }
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CPU;
+}
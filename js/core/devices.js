@@ -0,0 +1,671 @@
+/**
+ * I/O Devices for SARBA Simulator (Mano Basic Computer)
+ *
+ * @description Peripherals attached to the CPU through an I/O bus. The
+ * keyboard and teleprinter are Mano's input and output devices (INP/SKI and
+ * OUT/SKO with flags FGI and FGO); other devices are reached through
+ * memory-mapped registers in the I/O page (FF0-FFF), which LDA/STA and the
+ * other memory-reference instructions read and write instead of memory.
+ * The I/O page is off unless enabled (IOBus.ioPage), so programs that keep
+ * data in FF0-FFF see plain memory there.
+ *
+ * Every device with an interrupt line (irq) takes part in the interrupt
+ * condition: R is set when IEN=1 and a device requests an interrupt that the
+ * mask register (FFF) lets through. All devices share the vector at 001, so
+ * the service routine finds the source in the pending register (FFE), one
+ * bit per irq line; writing 1 bits there acknowledges latched requests.
+ */
+
+/**
+ * Base class of all devices; subclasses override what they use
+ */
+class Device {
+    /**
+     * @param {string} name - Name shown in the UI (unique on a bus)
+     * @param {?number} [irq=null] - Bit in the pending/mask registers, or null
+     *        if the device never interrupts
+     */
+    constructor(name, irq = null) {
+        this.name = name;
+        this.irq = irq;
+
+        /** @type {Array<{address: number, name: string}>} Memory-mapped registers */
+        this.registers = [];
+    }
+
+    /** Returns the device to its power-on state */
+    reset() {}
+
+    /** Advances the device by one clock cycle */
+    tick() {}
+
+    /**
+     * @returns {boolean} True while the device requests an interrupt
+     */
+    requesting() {
+        return false;
+    }
+
+    /** Clears a latched interrupt request (write to the pending register) */
+    acknowledge() {}
+
+    /**
+     * Reads a memory-mapped register
+     * @param {number} address - Register address
+     * @returns {number} 16-bit value
+     */
+    read(address) {
+        return 0;
+    }
+
+    /**
+     * Writes a memory-mapped register
+     * @param {number} address - Register address
+     * @param {number} value - 16-bit value
+     */
+    write(address, value) {}
+
+    /**
+     * @returns {Object} Plain object that can be passed to restoreState()
+     */
+    saveState() {
+        return {};
+    }
+
+    /**
+     * Restores state captured by saveState()
+     * @param {Object} state - Saved device state
+     */
+    restoreState(state) {}
+
+    /**
+     * @returns {string} Short status text for the UI, e.g. "FGI=1 INPR=41"
+     */
+    describe() {
+        return '';
+    }
+}
+
+/**
+ * Mano's input device: a character in INPR, FGI set while it is unread
+ */
+class Keyboard extends Device {
+    constructor() {
+        super('Keyboard', 0);
+
+        /** Called when INP finds no character (FGI=0) */
+        this.onInputRequired = null;
+        this.reset();
+    }
+
+    reset() {
+        this.INPR = 0; // 8-bit Input Register
+        this.FGI = false; // Input Flag (set when input available)
+    }
+
+    requesting() {
+        return this.FGI;
+    }
+
+    /**
+     * Makes a character available (INPR <- code, FGI <- 1)
+     * @param {number} charCode - Character code (0-255)
+     */
+    press(charCode) {
+        this.INPR = charCode & 0xFF;
+        this.FGI = true;
+    }
+
+    /**
+     * Takes the character for INP (FGI <- 0)
+     * @returns {number} Character code
+     */
+    take() {
+        this.FGI = false;
+        return this.INPR;
+    }
+
+    /** Clears the input flag and register */
+    clear() {
+        this.INPR = 0;
+        this.FGI = false;
+    }
+
+    saveState() {
+        return { INPR: this.INPR, FGI: this.FGI };
+    }
+
+    restoreState(state) {
+        this.INPR = state.INPR;
+        this.FGI = state.FGI;
+    }
+
+    describe() {
+        return `FGI=${this.FGI ? 1 : 0} INPR=${Utils.decToHex(this.INPR, 2)}`;
+    }
+}
+
+/**
+ * Mano's output device: OUT puts a character in OUTR and clears FGO; the
+ * device sets FGO again after `latency` clock cycles
+ */
+class Teleprinter extends Device {
+    constructor() {
+        super('Teleprinter', 1);
+
+        /** Called with each character code OUT sends */
+        this.onOutput = null;
+
+        // Clock cycles the device stays busy (FGO=0) after OUT. Kept across
+        // reset so a slow device can be configured per run.
+        this.latency = 1;
+        this.reset();
+    }
+
+    reset() {
+        this.OUTR = 0; // 8-bit Output Register
+        this.FGO = true; // Output Flag (set when ready) - starts ready
+        this.busy = 0; // Remaining clock cycles until FGO is set again
+    }
+
+    tick() {
+        if (this.busy > 0) {
+            this.busy--;
+            if (this.busy === 0) {
+                this.FGO = true;
+            }
+        }
+    }
+
+    requesting() {
+        return this.FGO;
+    }
+
+    /**
+     * Prints a character (OUTR <- code, FGO <- 0)
+     * @param {number} charCode - Character code (0-255)
+     */
+    print(charCode) {
+        this.OUTR = charCode & 0xFF;
+        this.FGO = false;
+        if (this.onOutput) {
+            this.onOutput(this.OUTR);
+        }
+        this.busy = this.latency;
+        if (this.busy <= 0) {
+            this.FGO = true;
+        }
+    }
+
+    saveState() {
+        return { OUTR: this.OUTR, FGO: this.FGO, busy: this.busy };
+    }
+
+    restoreState(state) {
+        this.OUTR = state.OUTR;
+        this.FGO = state.FGO;
+        this.busy = state.busy;
+    }
+
+    describe() {
+        return `FGO=${this.FGO ? 1 : 0} OUTR=${Utils.decToHex(this.OUTR, 2)}` +
+            (this.busy > 0 ? ` busy ${this.busy}` : '');
+    }
+}
+
+/**
+ * Sixteen LEDs driven by one memory-mapped register (bit 15 leftmost)
+ */
+class LedPanel extends Device {
+    /**
+     * @param {number} [address=0xFF0] - Address of the LED register
+     */
+    constructor(address = 0xFF0) {
+        super('LED Panel');
+        this.address = address;
+        this.registers = [{ address, name: 'LEDS' }];
+        this.reset();
+    }
+
+    reset() {
+        this.value = 0;
+    }
+
+    read(address) {
+        return this.value;
+    }
+
+    write(address, value) {
+        this.value = value & 0xFFFF;
+    }
+
+    saveState() {
+        return { value: this.value };
+    }
+
+    restoreState(state) {
+        this.value = state.value;
+    }
+
+    describe() {
+        return `${Utils.decToHex(this.address, 3)}: ${Utils.decToHex(this.value, 4)}`;
+    }
+}
+
+/**
+ * Memory-mapped text display: a region of ordinary memory shown as a
+ * character grid, one word per cell in row-major order. The low byte of a
+ * word is the character, bits 8-11 its foreground and bits 12-15 its
+ * background color (PALETTE indexes; foreground 0 shows in the default text
+ * color). The words stay memory, so programs draw with STA and read the
+ * screen back with LDA; the display only needs to know when they change,
+ * which Memory.onWrite reports through written().
+ */
+class VideoDisplay extends Device {
+    static DEFAULT_BASE = 0xE00;
+    static DEFAULT_COLUMNS = 32;
+    static DEFAULT_ROWS = 8;
+    static MAX_COLUMNS = 80;
+    static MAX_ROWS = 50;
+
+    /** 16-color CGA palette */
+    static PALETTE = [
+        '#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+        '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'
+    ];
+
+    /** Palette index used for foreground 0 (light green) */
+    static DEFAULT_FOREGROUND = 10;
+
+    /**
+     * @param {Memory} memory - Memory the display shows
+     * @param {Object} [options]
+     * @param {number} [options.base=0xE00] - Address of the top-left cell
+     * @param {number} [options.columns=32] - Characters per row
+     * @param {number} [options.rows=8] - Rows
+     * @throws {Error} If the region is invalid (see configure())
+     */
+    constructor(memory, options = {}) {
+        super('Video Display');
+        this.memory = memory;
+        this.configure(
+            options.base !== undefined ? options.base : VideoDisplay.DEFAULT_BASE,
+            options.columns || VideoDisplay.DEFAULT_COLUMNS,
+            options.rows || VideoDisplay.DEFAULT_ROWS
+        );
+    }
+
+    /**
+     * Sets the displayed region
+     * @param {number} base - Address of the top-left cell
+     * @param {number} columns - Characters per row (1-80)
+     * @param {number} rows - Rows (1-50)
+     * @throws {Error} If a size is out of range or the region reaches the I/O page
+     */
+    configure(base, columns, rows) {
+        if (!Number.isInteger(columns) || columns < 1 || columns > VideoDisplay.MAX_COLUMNS) {
+            throw new Error(`Display width must be 1-${VideoDisplay.MAX_COLUMNS} columns`);
+        }
+        if (!Number.isInteger(rows) || rows < 1 || rows > VideoDisplay.MAX_ROWS) {
+            throw new Error(`Display height must be 1-${VideoDisplay.MAX_ROWS} rows`);
+        }
+        if (!Number.isInteger(base) || base < 0 || base + columns * rows > 0xFF0) {
+            throw new Error(`Display region ${Utils.decToHex(base, 3)} + ${columns}x${rows} words ` +
+                'does not fit below the I/O page (FF0)');
+        }
+        this.base = base;
+        this.columns = columns;
+        this.rows = rows;
+        this.dirty = true;
+    }
+
+    /** @returns {number} Number of cells (words) */
+    get size() {
+        return this.columns * this.rows;
+    }
+
+    /**
+     * @param {number} address - Memory address
+     * @returns {boolean} True if the address holds a cell of the display
+     */
+    contains(address) {
+        return address >= this.base && address < this.base + this.size;
+    }
+
+    /**
+     * Notes a memory write (Memory.onWrite); the screen needs redrawing if
+     * it hit a cell
+     * @param {number} address - Written address
+     */
+    written(address) {
+        if (this.contains(address)) this.dirty = true;
+    }
+
+    /** Marks the screen for redrawing after memory changed without writes (reset, step back) */
+    invalidate() {
+        this.dirty = true;
+    }
+
+    /**
+     * @param {number} index - Cell index (row * columns + column)
+     * @returns {{char: number, fg: string, bg: string}} Character code and CSS colors
+     */
+    cell(index) {
+        const word = this.memory.readWord(this.base + index);
+        const fg = (word >> 8) & 0xF;
+        return {
+            char: word & 0xFF,
+            fg: VideoDisplay.PALETTE[fg || VideoDisplay.DEFAULT_FOREGROUND],
+            bg: VideoDisplay.PALETTE[(word >> 12) & 0xF]
+        };
+    }
+
+    // No saveState(): the cells are memory, and the region is a setting of
+    // the display rather than machine state, so stepping back keeps it
+
+    describe() {
+        return `${Utils.decToHex(this.base, 3)}-${Utils.decToHex(this.base + this.size - 1, 3)}, ` +
+            `${this.columns}x${this.rows}`;
+    }
+}
+
+/**
+ * Programmable interval timer: counts clock cycles down from its period and
+ * raises a latched interrupt request when the count reaches 0
+ *
+ *   control (FF4) - bit 0 run, bit 1 repeat (reload the period and keep
+ *                   running); reads back with bit 15 set while expired
+ *   period  (FF5) - Cycles per interval; writing it also restarts the count
+ *   count   (FF6) - Cycles left in the current interval
+ */
+class Timer extends Device {
+    /** Control register bits */
+    static RUN = 0x0001;
+    static REPEAT = 0x0002;
+    static EXPIRED = 0x8000;
+
+    /**
+     * @param {number} [address=0xFF4] - Address of the control register; the
+     *        period and count registers follow it
+     */
+    constructor(address = 0xFF4) {
+        super('Timer', 2);
+        this.address = address;
+        this.registers = [
+            { address, name: 'TCTL' },
+            { address: address + 1, name: 'TPER' },
+            { address: address + 2, name: 'TCNT' }
+        ];
+        this.reset();
+    }
+
+    reset() {
+        this.control = 0; // RUN | REPEAT
+        this.period = 0;
+        this.count = 0;
+        this.expired = false; // Interrupt request, latched until acknowledged
+    }
+
+    tick() {
+        if (!(this.control & Timer.RUN) || this.count === 0) return;
+        this.count--;
+        if (this.count === 0) {
+            this.expired = true;
+            if (this.control & Timer.REPEAT) {
+                this.count = this.period;
+            } else {
+                this.control &= ~Timer.RUN;
+            }
+        }
+    }
+
+    requesting() {
+        return this.expired;
+    }
+
+    acknowledge() {
+        this.expired = false;
+    }
+
+    read(address) {
+        switch (address - this.address) {
+            case 0: return this.control | (this.expired ? Timer.EXPIRED : 0);
+            case 1: return this.period;
+            default: return this.count;
+        }
+    }
+
+    write(address, value) {
+        switch (address - this.address) {
+            case 0:
+                // Starting a stopped timer begins a full interval
+                if ((value & Timer.RUN) && !(this.control & Timer.RUN) && this.count === 0) {
+                    this.count = this.period;
+                }
+                this.control = value & (Timer.RUN | Timer.REPEAT);
+                break;
+            case 1:
+                this.period = value;
+                this.count = value;
+                break;
+            default:
+                this.count = value;
+        }
+    }
+
+    saveState() {
+        return { control: this.control, period: this.period, count: this.count, expired: this.expired };
+    }
+
+    restoreState(state) {
+        Object.assign(this, state);
+    }
+
+    describe() {
+        const mode = !(this.control & Timer.RUN) ? 'stopped' : (this.control & Timer.REPEAT ? 'repeat' : 'one-shot');
+        return `${mode} ${this.count}/${this.period}${this.expired ? ' expired' : ''}`;
+    }
+}
+
+/**
+ * Connects devices to the CPU: the keyboard and teleprinter serve the I/O
+ * instructions, the rest is reached through the I/O page
+ */
+class IOBus {
+    /** First address of the I/O page */
+    static PAGE_START = 0xFF0;
+
+    /** Pending register: one bit per irq line that requests an interrupt */
+    static PENDING_ADDRESS = 0xFFE;
+
+    /** Mask register: irq lines allowed to interrupt (all after reset) */
+    static MASK_ADDRESS = 0xFFF;
+
+    /**
+     * Creates a bus with the standard devices: keyboard, teleprinter, an
+     * LED panel at FF0 and a timer at FF4
+     */
+    constructor() {
+        /** @type {Device[]} Attached devices */
+        this.devices = [];
+
+        /** @type {Map<number, Device>} Register address -> device */
+        this.mapped = new Map();
+
+        this.mask = 0xFFFF;
+
+        // Whether the device registers replace memory in the I/O page. A
+        // setting like the teleprinter latency, so reset keeps it.
+        this.ioPage = false;
+
+        this.keyboard = this.attach(new Keyboard());
+        this.teleprinter = this.attach(new Teleprinter());
+        this.attach(new LedPanel());
+        this.attach(new Timer());
+    }
+
+    /**
+     * Attaches a device
+     * @param {Device} device - Device to attach
+     * @returns {Device} The device
+     * @throws {Error} If its name, irq line or a register address is taken
+     */
+    attach(device) {
+        if (this.find(device.name)) {
+            throw new Error(`A device named '${device.name}' is already attached`);
+        }
+        if (device.irq !== null) {
+            const other = this.devices.find(d => d.irq === device.irq);
+            if (other) throw new Error(`IRQ ${device.irq} is already used by ${other.name}`);
+        }
+        device.registers.forEach(({ address }) => {
+            if (this.hasRegister(address)) {
+                throw new Error(`I/O address ${Utils.decToHex(address, 3)} is already in use`);
+            }
+        });
+
+        device.registers.forEach(({ address }) => this.mapped.set(address, device));
+        this.devices.push(device);
+        return device;
+    }
+
+    /**
+     * Detaches a device (optional devices such as the video display)
+     * @param {Device} device - Attached device
+     */
+    detach(device) {
+        device.registers.forEach(({ address }) => this.mapped.delete(address));
+        this.devices = this.devices.filter(d => d !== device);
+    }
+
+    /**
+     * Finds an attached device by name
+     * @param {string} name - Device name
+     * @returns {?Device}
+     */
+    find(name) {
+        return this.devices.find(d => d.name === name) || null;
+    }
+
+    /**
+     * Resets every device and enables all interrupt lines
+     */
+    reset() {
+        this.mask = 0xFFFF;
+        this.devices.forEach(d => d.reset());
+    }
+
+    /**
+     * Advances every device by one clock cycle
+     */
+    tick() {
+        for (const device of this.devices) device.tick();
+    }
+
+    /**
+     * @returns {number} Pending register value: bit n set while the device
+     *          on irq line n requests an interrupt
+     */
+    pending() {
+        let bits = 0;
+        for (const device of this.devices) {
+            if (device.irq !== null && device.requesting()) bits |= 1 << device.irq;
+        }
+        return bits;
+    }
+
+    /**
+     * @returns {boolean} True if an unmasked device requests an interrupt
+     */
+    interruptRequested() {
+        return (this.pending() & this.mask) !== 0;
+    }
+
+    /**
+     * @param {number} address - Memory address
+     * @returns {boolean} True if the address is a device register, not memory
+     *          (only while the I/O page is enabled)
+     */
+    isMapped(address) {
+        return this.ioPage && this.hasRegister(address);
+    }
+
+    /**
+     * @param {number} address - Memory address
+     * @returns {boolean} True if a device register is assigned to the address,
+     *          whether or not the I/O page is enabled
+     */
+    hasRegister(address) {
+        return address === IOBus.PENDING_ADDRESS || address === IOBus.MASK_ADDRESS || this.mapped.has(address);
+    }
+
+    /**
+     * Names the register at a mapped address
+     * @param {number} address - Memory address
+     * @returns {?string} e.g. "interrupt mask" or "LEDS (LED Panel)", null if not mapped
+     */
+    registerName(address) {
+        if (address === IOBus.PENDING_ADDRESS) return 'interrupt pending';
+        if (address === IOBus.MASK_ADDRESS) return 'interrupt mask';
+        const device = this.mapped.get(address);
+        if (!device) return null;
+        const reg = device.registers.find(r => r.address === address);
+        return `${reg.name} (${device.name})`;
+    }
+
+    /**
+     * Reads a device register
+     * @param {number} address - Mapped address
+     * @returns {number} 16-bit value
+     */
+    read(address) {
+        if (address === IOBus.PENDING_ADDRESS) return this.pending();
+        if (address === IOBus.MASK_ADDRESS) return this.mask;
+        return this.mapped.get(address).read(address) & 0xFFFF;
+    }
+
+    /**
+     * Writes a device register
+     * @param {number} address - Mapped address
+     * @param {number} value - 16-bit value
+     */
+    write(address, value) {
+        if (address === IOBus.PENDING_ADDRESS) {
+            // Write 1 to acknowledge
+            this.devices.forEach(d => {
+                if (d.irq !== null && (value & (1 << d.irq))) d.acknowledge();
+            });
+        } else if (address === IOBus.MASK_ADDRESS) {
+            this.mask = value & 0xFFFF;
+        } else {
+            this.mapped.get(address).write(address, value & 0xFFFF);
+        }
+    }
+
+    /**
+     * @returns {Object} I/O page setting, mask and the state of every device by name
+     */
+    saveState() {
+        const devices = {};
+        this.devices.forEach(d => { devices[d.name] = d.saveState(); });
+        return { ioPage: this.ioPage, mask: this.mask, devices };
+    }
+
+    /**
+     * Restores state captured by saveState(); devices it does not mention
+     * keep their current state
+     * @param {Object} state - Saved bus state
+     */
+    restoreState(state) {
+        if (state.ioPage !== undefined) this.ioPage = state.ioPage;
+        this.mask = state.mask;
+        this.devices.forEach(d => {
+            if (state.devices && state.devices[d.name]) d.restoreState(state.devices[d.name]);
+        });
+    }
+}
+
+// Export for Node.js (headless runner); browsers use the globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Device, Keyboard, Teleprinter, LedPanel, VideoDisplay, Timer, IOBus };
+}
@@ -0,0 +1,246 @@
+/**
+ * Disassembler for SARBA Simulator (Mano Basic Computer)
+ *
+ * @description Decodes machine words into mnemonics and turns a memory image
+ * back into source that assembles to the same words. Code and data are told
+ * apart with the assembler's usage map when there is one, otherwise by
+ * following the possible execution paths from the entry points; branch,
+ * subroutine and operand targets get generated labels, and every contiguous
+ * run of words becomes an ORG block.
+ */
+
+const Disassembler = {
+    /** Memory-reference mnemonics by opcode */
+    MRI: ['AND', 'ADD', 'LDA', 'STA', 'BUN', 'BSA', 'ISZ'],
+
+    /** Register-reference mnemonics by bit, in bit order (high to low) */
+    RRI: [
+        [0x800, 'CLA'], [0x400, 'CLE'], [0x200, 'CMA'], [0x100, 'CME'],
+        [0x080, 'CIR'], [0x040, 'CIL'], [0x020, 'INC'], [0x010, 'SPA'],
+        [0x008, 'SNA'], [0x004, 'SZA'], [0x002, 'SZE'], [0x001, 'HLT']
+    ],
+
+    /** Input-output mnemonics by bit, in bit order (high to low) */
+    IO: [
+        [0x800, 'INP'], [0x400, 'OUT'], [0x200, 'SKI'], [0x100, 'SKO'],
+        [0x080, 'ION'], [0x040, 'IOF']
+    ],
+
+    /**
+     * Decodes an instruction word
+     * @param {number} word - 16-bit word
+     * @returns {?{mnemonics: string[], address: ?number, indirect: boolean}}
+     *          Decoded instruction (several mnemonics for a combined
+     *          register/IO word), or null if no instruction has this encoding
+     */
+    decode: (word) => {
+        const opcode = (word >> 12) & 7;
+        const indirect = (word & 0x8000) !== 0;
+
+        if (opcode !== 7) {
+            return { mnemonics: [Disassembler.MRI[opcode]], address: word & 0xFFF, indirect };
+        }
+
+        const table = indirect ? Disassembler.IO : Disassembler.RRI;
+        const bits = word & 0xFFF;
+        const mnemonics = table.filter(([bit]) => bits & bit).map(([, name]) => name);
+        const known = table.reduce((mask, [bit]) => mask | bit, 0);
+        if (mnemonics.length === 0 || (bits & ~known)) return null;
+        return { mnemonics, address: null, indirect: false };
+    },
+
+    /**
+     * Short description of a memory word for the memory view
+     * @param {number} word - 16-bit word
+     * @param {?string} usage - 'code', 'data' or undefined (unknown)
+     * @returns {string} e.g. "LDA 104 I", "CLA CMA", "HEX 0041" or '' for unused zeros
+     */
+    describe: (word, usage) => {
+        if (usage === 'data') return `HEX ${Utils.decToHex(word, 4)}`;
+        if (word === 0 && !usage) return '';
+
+        const instr = Disassembler.decode(word);
+        if (!instr) return `HEX ${Utils.decToHex(word, 4)}`;
+        if (instr.address === null) return instr.mnemonics.join(' ');
+        return `${instr.mnemonics[0]} ${Utils.decToHex(instr.address, 3)}${instr.indirect ? ' I' : ''}`;
+    },
+
+    /**
+     * Reconstructs assembly source from a memory image
+     * @param {Object<string, string>} image - Address (hex) -> word (hex), as in
+     *        Assembler.assemble().machineCode or Memory.getNonZeroMemory()
+     * @param {Object} [options]
+     * @param {Object<number, string>} [options.usageMap] - Address -> 'code' | 'data';
+     *        when empty or missing, code is found by reachability
+     * @param {Object<string, number>} [options.labels] - Known label names -> address
+     * @param {number[]} [options.entries] - Addresses execution may start at;
+     *        the first one becomes the start address of the source
+     *        (default: the lowest address of the image)
+     * @returns {{source: string, labels: Object<string, number>, usageMap: Object<number, string>}}
+     *          Source text, the labels it uses and the code/data split it assumed
+     */
+    disassemble: (image, options = {}) => {
+        const words = new Map(); // Address -> word
+        Object.keys(image).forEach(addr => {
+            words.set(parseInt(addr, 16) & 0xFFF, parseInt(image[addr], 16) & 0xFFFF);
+        });
+        const addresses = [...words.keys()].sort((a, b) => a - b);
+        const given = options.usageMap && Object.keys(options.usageMap).length > 0 ? options.usageMap : null;
+        const entries = options.entries && options.entries.length > 0
+            ? options.entries.map(a => a & 0xFFF)
+            : addresses.slice(0, 1);
+
+        const usageMap = {};
+        if (given) {
+            words.forEach((word, addr) => {
+                usageMap[addr] = given[addr] === 'code' ? 'code' : 'data';
+            });
+        } else {
+            Disassembler.traceCode(words, entries).forEach(addr => { usageMap[addr] = 'code'; });
+            words.forEach((word, addr) => {
+                if (!usageMap[addr]) usageMap[addr] = 'data';
+            });
+        }
+
+        // --- Labels: given names first, then generated ones for operand targets ---
+        const labelAt = {};
+        Object.keys(options.labels || {}).forEach(name => {
+            const addr = options.labels[name];
+            if (labelAt[addr] === undefined && Assembler.isValidLabel(name)) labelAt[addr] = name;
+        });
+        words.forEach((word, addr) => {
+            if (usageMap[addr] !== 'code') return;
+            const instr = Disassembler.decode(word);
+            if (!instr || instr.address === null || labelAt[instr.address] !== undefined) return;
+            const kind = instr.mnemonics[0];
+            const prefix = kind === 'BSA' ? 'S' : (kind === 'BUN' && !instr.indirect ? 'L' : 'D');
+            labelAt[instr.address] = `${prefix}${Utils.decToHex(instr.address, 3)}`;
+        });
+
+        // Labelled addresses outside the image hold 0 (return addresses,
+        // variables); emit them so the labels are defined
+        Object.keys(labelAt).forEach(addr => {
+            if (!words.has(+addr)) {
+                words.set(+addr, 0);
+                usageMap[addr] = 'data';
+            }
+        });
+
+        // --- Source lines, one ORG block per run of consecutive addresses ---
+        const sorted = [...words.keys()].sort((a, b) => a - b);
+        const blocks = [];
+        sorted.forEach(addr => {
+            const last = blocks[blocks.length - 1];
+            if (last && last[last.length - 1] === addr - 1) last.push(addr);
+            else blocks.push([addr]);
+        });
+
+        const operand = (addr) => labelAt[addr] !== undefined ? labelAt[addr] : Disassembler.hexOperand(addr, 3);
+        const out = ['/ Disassembled by SARBA', ''];
+
+        // The assembler starts at the first ORG, so open with one for the
+        // first entry point unless a block begins there. The entry may hold
+        // no word at all (e.g. ORG 0 followed by ORG 1 in the source).
+        if (entries.length > 0 && (blocks.length === 0 || blocks[0][0] !== entries[0])) {
+            out.push(`        ${`ORG ${Disassembler.hexOperand(entries[0], 3)}`.padEnd(16)}/ Start address`);
+        }
+
+        blocks.forEach((block, index) => {
+            if (index > 0 || out.length > 2) out.push('');
+            out.push(`        ORG ${Disassembler.hexOperand(block[0], 3)}`);
+            block.forEach(addr => {
+                const word = words.get(addr);
+                const label = labelAt[addr] !== undefined ? `${labelAt[addr]},` : '';
+                const instr = usageMap[addr] === 'code' ? Disassembler.decode(word) : null;
+
+                let text;
+                if (!instr) {
+                    text = `HEX ${Utils.decToHex(word, 4)}`;
+                } else if (instr.address !== null) {
+                    text = `${instr.mnemonics[0]} ${operand(instr.address)}${instr.indirect ? ' I' : ''}`;
+                } else {
+                    text = instr.mnemonics.join(' '); // Combined words, e.g. CLA CMA
+                }
+                const comment = `/ ${Utils.decToHex(addr, 3)}: ${Utils.decToHex(word, 4)}`;
+                out.push(`${label.padEnd(8)}${text.padEnd(16)}${comment}`);
+            });
+        });
+        out.push('        END');
+
+        const labels = {};
+        Object.keys(labelAt).forEach(addr => { labels[labelAt[addr]] = +addr; });
+        return { source: out.join('\n') + '\n', labels, usageMap };
+    },
+
+    /**
+     * Finds the words execution can reach from the entry points. Memory
+     * operands are taken to be data (pointers of indirect instructions and
+     * BSA return-address slots included; only direct BUN targets are code),
+     * so paths that only exist on paper, like an ISZ skip onto its own
+     * pointer, stop there. If an
+     * interrupt is enabled (ION), the service routine entry at 001 is
+     * followed as well.
+     * @param {Map<number, number>} words - Address -> word (image only)
+     * @param {number[]} entries - Start addresses
+     * @returns {Set<number>} Addresses holding reachable instructions
+     */
+    traceCode: (words, entries) => {
+        const data = new Set(); // Operands found so far
+
+        const follow = () => {
+            const code = new Set();
+            let interruptsUsed = false;
+            const visit = (starts) => {
+                const queue = starts.slice();
+                while (queue.length > 0) {
+                    const addr = queue.pop();
+                    if (code.has(addr) || data.has(addr) || !words.has(addr)) continue;
+
+                    const word = words.get(addr);
+                    if (!Disassembler.decode(word)) continue; // Not an instruction: stop here
+                    code.add(addr);
+
+                    if ((word & 0xF080) === 0xF080) interruptsUsed = true; // ION, alone or combined
+                    Analyzer.successors(addr, word).forEach(next => queue.push(next));
+                }
+            };
+            visit(entries);
+            if (interruptsUsed) visit([0x001]);
+            return code;
+        };
+
+        // Each round may reveal operands that an earlier round took for code
+        for (;;) {
+            const code = follow();
+            let changed = false;
+            code.forEach(addr => {
+                const word = words.get(addr);
+                const opcode = (word >> 12) & 7;
+                if (opcode === 7 || (opcode === 4 && !(word & 0x8000))) return; // No operand, or a jump target
+                const target = word & 0xFFF;
+                if (code.has(target) && !data.has(target)) {
+                    data.add(target);
+                    changed = true;
+                }
+            });
+            if (!changed) return code;
+        }
+    },
+
+    /**
+     * Formats a number as an assembler hex operand; a leading 0 keeps values
+     * like ABC from being read as a symbol
+     * @param {number} value - Value
+     * @param {number} width - Minimum hex digits
+     * @returns {string}
+     */
+    hexOperand: (value, width) => {
+        const hex = Utils.decToHex(value, width);
+        return /^[A-F]/.test(hex) ? `0${hex}` : hex;
+    }
+};
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Disassembler;
+}
@@ -0,0 +1,121 @@
+/**
+ * Execution History for SARBA Simulator (Mano Basic Computer)
+ * 
+ * @description Records the machine state before every micro-operation so
+ * execution can be stepped backwards. Each entry holds a copy of the CPU
+ * registers and flags plus a journal of the memory words overwritten during
+ * that micro-op, so memory changes from STA, BSA, ISZ and the interrupt
+ * cycle are undone exactly without copying all 4096 words per step. When the
+ * CPU has a profiler, its counts for the micro-op are journaled and undone
+ * as well.
+ */
+
+class ExecutionHistory {
+    /**
+     * Creates a new history buffer
+     * @param {CPU} cpu - CPU whose state is recorded
+     * @param {Memory} memory - Memory whose writes are journaled
+     * @param {number} [capacity=20000] - Maximum number of micro-ops kept
+     */
+    constructor(cpu, memory, capacity = 20000) {
+        this.cpu = cpu;
+        this.memory = memory;
+        this.capacity = capacity;
+
+        /** @type {Array<{cpu: Object, writes: Array, profile: ?Object, extra: *}>} Recorded entries, oldest first */
+        this.entries = [];
+
+        /** @type {?Object} Entry being recorded between begin() and commit() */
+        this.pending = null;
+    }
+
+    /**
+     * Number of micro-ops that can be undone
+     * @returns {number}
+     */
+    get length() {
+        return this.entries.length;
+    }
+
+    /**
+     * Starts recording a micro-op. Call before CPU.step().
+     * @param {*} [extra] - Caller-owned state to restore along with the machine
+     *   (for example the I/O queues), returned by stepBack()
+     */
+    begin(extra = null) {
+        const profiler = this.cpu.profiler;
+        this.pending = {
+            cpu: this.cpu.saveState(),
+            writes: [],
+            profile: profiler ? { totals: profiler.saveTotals(), counts: [] } : null,
+            extra
+        };
+        this.memory.journal = this.pending.writes;
+        if (profiler) profiler.journal = this.pending.profile.counts;
+    }
+
+    /**
+     * Stops journaling memory writes and profiler counts
+     */
+    stopJournal() {
+        this.memory.journal = null;
+        if (this.cpu.profiler) this.cpu.profiler.journal = null;
+    }
+
+    /**
+     * Finishes recording the current micro-op
+     */
+    commit() {
+        if (!this.pending) return;
+        this.stopJournal();
+        this.entries.push(this.pending);
+        this.pending = null;
+
+        if (this.entries.length > this.capacity) {
+            this.entries.shift();
+        }
+    }
+
+    /**
+     * Drops the current recording (the micro-op changed nothing)
+     */
+    discard() {
+        this.stopJournal();
+        this.pending = null;
+    }
+
+    /**
+     * Undoes the most recent micro-op
+     * @returns {?{extra: *}} The restored entry, or null if history is empty
+     */
+    stepBack() {
+        const entry = this.entries.pop();
+        if (!entry) return null;
+
+        // Undo memory writes newest first so repeated writes unwind correctly.
+        // writeWord notifies Memory.onWrite (e.g. the video display); the
+        // journal is off here, so the undo itself is not recorded.
+        for (let i = entry.writes.length - 1; i >= 0; i--) {
+            const w = entry.writes[i];
+            this.memory.writeWord(w.address, w.value);
+        }
+        if (entry.profile && this.cpu.profiler) {
+            this.cpu.profiler.undo(entry.profile.counts, entry.profile.totals);
+        }
+        this.cpu.restoreState(entry.cpu);
+        return entry;
+    }
+
+    /**
+     * Forgets all recorded history
+     */
+    clear() {
+        this.discard();
+        this.entries = [];
+    }
+}
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExecutionHistory;
+}
@@ -0,0 +1,220 @@
+/**
+ * Linker for SARBA Simulator (Mano Basic Computer)
+ *
+ * @description Combines object modules written by the assembler
+ * (Assembler.assemble() with options.object) into one absolute memory image.
+ * Relocatable modules are placed one after another from a load address,
+ * absolute modules stay where their ORGs put them; exported symbols are
+ * collected into one table and every relocation entry is patched with the
+ * module's load address or the address of the external it names.
+ */
+
+const Linker = {
+    /** Address the first relocatable module is loaded at by default */
+    DEFAULT_LOAD_ADDRESS: 0x100,
+
+    /**
+     * Parses and validates object file contents
+     * @param {string} text - JSON text
+     * @returns {Object} Object module
+     * @throws {Error} If the text is not a valid object module
+     */
+    parse: (text) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Object file is not valid JSON: ${e.message}`);
+        }
+
+        if (!data || data.format !== Assembler.OBJECT_FORMAT) {
+            throw new Error('File is not a SARBA object module');
+        }
+        if (data.version > Assembler.OBJECT_VERSION) {
+            throw new Error(`Object version ${data.version} is newer than supported (${Assembler.OBJECT_VERSION})`);
+        }
+        if (typeof data.words !== 'object' || typeof data.exports !== 'object' ||
+            !Array.isArray(data.externals) || !Array.isArray(data.relocations)) {
+            throw new Error('Object module is missing words, symbols or relocations');
+        }
+
+        for (const addr in data.words) {
+            if (!/^[0-9A-Fa-f]{1,3}$/.test(addr) || !/^[0-9A-Fa-f]{1,4}$/.test(data.words[addr])) {
+                throw new Error(`Invalid word '${addr}: ${data.words[addr]}'`);
+            }
+        }
+        for (const name in data.exports) {
+            const sym = data.exports[name];
+            if (!sym || !/^[0-9A-Fa-f]{1,4}$/.test(sym.value)) {
+                throw new Error(`Invalid export '${name}'`);
+            }
+        }
+        data.relocations.forEach(r => {
+            if (!r || !/^[0-9A-Fa-f]{1,3}$/.test(r.address) || (r.field !== 'address' && r.field !== 'word') ||
+                (r.symbol !== null && !data.externals.includes(r.symbol)) ||
+                (r.addend !== undefined && !Number.isInteger(r.addend))) {
+                throw new Error(`Invalid relocation entry ${JSON.stringify(r)}`);
+            }
+        });
+        if (!Number.isInteger(data.size) || data.size < 0 || data.size > 0x1000) {
+            throw new Error(`Invalid module size '${data.size}'`);
+        }
+        if (!/^[0-9A-Fa-f]{1,3}$/.test(data.start)) {
+            throw new Error(`Invalid start address '${data.start}'`);
+        }
+        return data;
+    },
+
+    /**
+     * Links object modules into a memory image
+     * @param {Object[]} objects - Object modules (result.object or Linker.parse())
+     * @param {Object} [options]
+     * @param {number} [options.loadAddress=0x100] - Address of the first relocatable module
+     * @param {?string} [options.entry=null] - Exported symbol to start at
+     *        (default: the start address of the first module)
+     * @returns {{success: boolean, machineCode: Object<string, string>, startAddress: number,
+     *           symbols: Object<string, number>, modules: Array<Object>, errors: string[]}}
+     *          Image in the same form as Assembler.assemble(), the global symbol
+     *          table and where each module ended up
+     */
+    link: (objects, options = {}) => {
+        const errors = [];
+        const machineCode = {};
+        const symbols = {}; // Exported name -> absolute value
+        const exporter = {}; // Exported name -> module name
+        const owners = {}; // Address -> module name
+        let next = options.loadAddress !== undefined ? options.loadAddress : Linker.DEFAULT_LOAD_ADDRESS;
+
+        // --- Placement: relocatable modules back to back, absolute ones as they are ---
+        const modules = objects.map((obj, index) => {
+            const name = obj.name || `module ${index + 1}`;
+            const base = obj.relocatable ? next : 0;
+            if (obj.relocatable) next += obj.size;
+            const addresses = Object.keys(obj.words).map(addr => parseInt(addr, 16) + base);
+            const start = obj.relocatable || addresses.length === 0 ? base : Math.min(...addresses);
+            const end = obj.relocatable ? base + obj.size - 1 : (addresses.length ? Math.max(...addresses) : start - 1);
+            return { name, obj, base, start, end };
+        });
+
+        modules.forEach(({ name, obj, base }) => {
+            Object.keys(obj.exports).forEach(sym => {
+                if (symbols.hasOwnProperty(sym)) {
+                    errors.push(`Symbol '${sym}' is exported by both ${exporter[sym]} and ${name}`);
+                    return;
+                }
+                const { value, relocatable } = obj.exports[sym];
+                symbols[sym] = parseInt(value, 16) + (relocatable ? base : 0);
+                exporter[sym] = name;
+            });
+        });
+
+        // --- Relocation and image ---
+        modules.forEach(({ name, obj, base, end }) => {
+            if (end > 0xFFF) {
+                errors.push(`${name} does not fit in memory (loaded at ${Utils.decToHex(base, 3)}, ends past FFF)`);
+                return;
+            }
+            const words = {}; // Module address -> word
+            Object.keys(obj.words).forEach(addr => { words[parseInt(addr, 16)] = parseInt(obj.words[addr], 16); });
+
+            const missing = new Set();
+            obj.relocations.forEach(({ address: hex, field, symbol, addend }) => {
+                const address = parseInt(hex, 16);
+                let delta = base;
+                if (symbol !== null) {
+                    if (!symbols.hasOwnProperty(symbol)) {
+                        if (!missing.has(symbol)) errors.push(`${name}: Undefined external symbol '${symbol}'`);
+                        missing.add(symbol);
+                        return;
+                    }
+                    delta = symbols[symbol];
+                }
+
+                // The offset is in the word unless the field could not hold it
+                const word = words[address] || 0;
+                const where = Utils.decToHex(address + (obj.relocatable ? base : 0), 3);
+                const target = by => `${symbol || 'a relocated label'} ${by < 0 ? '-' : '+'} ${Utils.decToHex(Math.abs(by), 3)}`;
+                if (field === 'word') {
+                    // Negative DEC offsets are stored in two's complement and wrap
+                    // back into range, so only addends need a range check
+                    const value = (addend !== undefined ? addend : word) + delta;
+                    if (addend !== undefined && (value < 0 || value > 0xFFFF)) {
+                        errors.push(`${name}: Word at ${where} holds ${target(addend)}, outside 0000-FFFF`);
+                        return;
+                    }
+                    words[address] = value & 0xFFFF;
+                    return;
+                }
+                const offset = addend !== undefined ? addend : word & 0xFFF;
+                const value = offset + delta;
+                if (value < 0 || value > 0xFFF) {
+                    errors.push(`${name}: Address ${where} refers to ${target(offset)}, outside 000-FFF`);
+                    return;
+                }
+                words[address] = (word & 0xF000) | value;
+            });
+
+            const overlaps = new Set();
+            Object.keys(words).forEach(key => {
+                const hex = Utils.decToHex(+key + (obj.relocatable ? base : 0), 3);
+                if (owners[hex]) {
+                    // One error per pair of modules, at the first collision
+                    if (!overlaps.has(owners[hex])) {
+                        errors.push(`${name} and ${owners[hex]} both use address ${hex}`);
+                        overlaps.add(owners[hex]);
+                    }
+                    return;
+                }
+                owners[hex] = name;
+                machineCode[hex] = Utils.decToHex(words[key], 4);
+            });
+        });
+
+        let startAddress = 0;
+        if (options.entry) {
+            if (symbols.hasOwnProperty(options.entry)) {
+                startAddress = symbols[options.entry];
+            } else {
+                errors.push(`Entry point '${options.entry}' is not an exported symbol`);
+            }
+        } else if (modules.length > 0) {
+            const first = modules[0];
+            startAddress = parseInt(first.obj.start, 16) + (first.obj.relocatable ? first.base : 0);
+        }
+
+        return {
+            success: errors.length === 0,
+            machineCode,
+            startAddress,
+            symbols,
+            modules: modules.map(({ name, obj, start, end }) => ({ name, relocatable: !!obj.relocatable, start, end })),
+            errors
+        };
+    },
+
+    /**
+     * Formats a link map: where each module was loaded and the global symbols
+     * @param {Object} result - Result of Linker.link()
+     * @returns {string} Plain-text map
+     */
+    formatMap: (result) => {
+        const out = ['Module            Start  End   Type'];
+        result.modules.forEach(mod => {
+            const range = mod.end < mod.start
+                ? '(empty)     '
+                : `${Utils.decToHex(mod.start, 3)}    ${Utils.decToHex(mod.end, 3)}   `;
+            out.push(`${mod.name.padEnd(17)} ${range}${mod.relocatable ? 'relocatable' : 'absolute'}`);
+        });
+        out.push('');
+        out.push('Symbol            Value');
+        Object.keys(result.symbols).sort().forEach(name => {
+            out.push(`${name.padEnd(17)} ${Utils.decToHex(result.symbols[name], 4)}`);
+        });
+        return out.join('\n') + '\n';
+    }
+};
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Linker;
+}
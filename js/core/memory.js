@@ -8,21 +8,58 @@
 class Memory {
     /**
      * Creates a new Memory instance
-     * Initializes 4096 words to "0000"
+     * Initializes 4096 words to 0
      */
     constructor() {
         /** @type {number} Memory size in words */
         this.size = 4096;
         
-        /** @type {string[]} Memory data array (hex strings) */
-        this.data = new Array(this.size).fill("0000");
+        /** @type {Uint16Array} Memory data array (16-bit words) */
+        this.data = new Uint16Array(this.size);
+
+        /**
+         * When set to an array, every write appends the overwritten word
+         * so it can be undone (used by reverse stepping)
+         * @type {?Array<{address: number, value: number}>}
+         */
+        this.journal = null;
+
+        /**
+         * Called with (address, value) after every word write, e.g. to
+         * refresh a memory-mapped display
+         * @type {?function(number, number): void}
+         */
+        this.onWrite = null;
     }
 
     /**
-     * Resets all memory locations to "0000"
+     * Resets all memory locations to 0
      */
     reset() {
-        this.data.fill("0000");
+        this.data.fill(0);
+    }
+
+    /**
+     * Read a word as an integer (fast path used by the CPU)
+     * @param {number} address - Integer address, wrapped to 12 bits
+     * @returns {number} 16-bit word
+     */
+    readWord(address) {
+        return this.data[address & 0xFFF];
+    }
+
+    /**
+     * Write an integer word (fast path used by the CPU)
+     * @param {number} address - Integer address, wrapped to 12 bits
+     * @param {number} value - Word value, truncated to 16 bits
+     */
+    writeWord(address, value) {
+        const addrIndex = address & 0xFFF;
+        if (this.journal) {
+            this.journal.push({ address: addrIndex, value: this.data[addrIndex] });
+        }
+        this.data[addrIndex] = value;
+        if (this.onWrite) this.onWrite(addrIndex, this.data[addrIndex]);
     }
 
     /**
@@ -44,7 +81,7 @@ class Memory {
                 return "0000";
             }
             
-            return this.data[addrIndex];
+            return Utils.decToHex(this.data[addrIndex], 4);
         } catch (e) {
             console.error('Memory read error:', e);
             return "0000";
@@ -69,9 +106,7 @@ class Memory {
                 return;
             }
             
-            // Ensure format is clean (4 uppercase hex digits)
-            const cleanVal = Utils.decToHex(parseInt(val, 16), 4);
-            this.data[addrIndex] = cleanVal;
+            this.writeWord(addrIndex, parseInt(val, 16));
         } catch (e) {
             console.error('Memory write error:', e);
         }
@@ -111,10 +146,10 @@ class Memory {
         
         try {
             for (let i = 0; i < this.size; i++) {
-                if (this.data[i] !== "0000") {
+                if (this.data[i] !== 0) {
                     snapshot.push({
                         address: Utils.decToHex(i, 3),
-                        content: this.data[i]
+                        content: Utils.decToHex(this.data[i], 4)
                     });
                 }
             }
@@ -141,7 +176,7 @@ class Memory {
             for (let i = startAddr; i < endAddr; i++) {
                 result.push({
                     address: Utils.decToHex(i, 3),
-                    content: this.data[i]
+                    content: Utils.decToHex(this.data[i], 4)
                 });
             }
         } catch (e) {
@@ -159,7 +194,12 @@ class Memory {
     dump(start = 0, count = 16) {
         console.log(`Memory dump from ${Utils.decToHex(start, 3)}:`);
         for (let i = start; i < start + count && i < this.size; i++) {
-            console.log(`  ${Utils.decToHex(i, 3)}: ${this.data[i]}`);
+            console.log(`  ${Utils.decToHex(i, 3)}: ${Utils.decToHex(this.data[i], 4)}`);
         }
     }
 }
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Memory;
+}
@@ -0,0 +1,280 @@
+/**
+ * Execution Profiler for SARBA Simulator (Mano Basic Computer)
+ *
+ * @description Counts, for every memory address, how often it was fetched as
+ * an instruction, read as data and written, plus the cycles spent per
+ * instruction type and the interrupts taken. Attach it with
+ * `cpu.profiler = profiler`; the CPU then reports every memory access and
+ * completed micro-operation.
+ */
+
+class Profiler {
+    /**
+     * Creates a new profiler
+     * @param {number} [size=4096] - Number of addresses to track
+     */
+    constructor(size = 4096) {
+        this.size = size;
+
+        /** @type {Uint32Array} Instruction fetches per address */
+        this.fetches = new Uint32Array(size);
+
+        /** @type {Uint32Array} Data reads per address (operands and indirect pointers) */
+        this.reads = new Uint32Array(size);
+
+        /** @type {Uint32Array} Writes per address */
+        this.writes = new Uint32Array(size);
+
+        /**
+         * When set (by ExecutionHistory), every count is also logged here so
+         * the step can be undone
+         * @type {?Array}
+         */
+        this.journal = null;
+
+        this.reset();
+    }
+
+    /**
+     * Clears all counters
+     */
+    reset() {
+        this.fetches.fill(0);
+        this.reads.fill(0);
+        this.writes.fill(0);
+
+        /** @type {Object<string, {count: number, cycles: number}>} Per-mnemonic totals */
+        this.instructions = {};
+
+        /** @type {number} Micro-operations executed */
+        this.totalCycles = 0;
+
+        /** @type {number} Interrupt cycles completed */
+        this.interrupts = 0;
+
+        /** @type {number} Micro-operations spent in interrupt cycles (RT0-RT2) */
+        this.interruptCycles = 0;
+
+        /** @type {number} Cycles of the instruction currently executing */
+        this.pendingCycles = 0;
+    }
+
+    /**
+     * Records an instruction fetch (T1)
+     * @param {number} address - Address of the instruction
+     */
+    recordFetch(address) {
+        this.fetches[address]++;
+        if (this.journal) this.journal.push({ counter: 'fetches', address });
+    }
+
+    /**
+     * Records a data read
+     * @param {number} address - Address read
+     */
+    recordRead(address) {
+        this.reads[address]++;
+        if (this.journal) this.journal.push({ counter: 'reads', address });
+    }
+
+    /**
+     * Records a memory write
+     * @param {number} address - Address written
+     */
+    recordWrite(address) {
+        this.writes[address]++;
+        if (this.journal) this.journal.push({ counter: 'writes', address });
+    }
+
+    /**
+     * Records one completed micro-operation. Cycles accumulate until the
+     * sequence counter returns to 0 and are then charged to the instruction
+     * held in IR.
+     * @param {CPU} cpu - CPU after the micro-operation
+     * @param {Object} res - Result of CPU.executeMicroOp()
+     */
+    recordCycle(cpu, res) {
+        this.totalCycles++;
+
+        if (res.interrupt) {
+            this.interruptCycles++;
+            if (cpu.SC === 0) this.interrupts++;
+            return;
+        }
+
+        this.pendingCycles++;
+        if (cpu.SC === 0) {
+            const name = Profiler.instructionName(cpu.IR);
+            const entry = this.instructions[name] || (this.instructions[name] = { count: 0, cycles: 0 });
+            entry.count++;
+            entry.cycles += this.pendingCycles;
+            if (this.journal) this.journal.push({ instruction: name, cycles: this.pendingCycles });
+            this.pendingCycles = 0;
+        }
+    }
+
+    /**
+     * Copies the cycle and interrupt totals (taken before a step, so that
+     * undo() can put them back)
+     * @returns {Object} Totals
+     */
+    saveTotals() {
+        return {
+            totalCycles: this.totalCycles,
+            interrupts: this.interrupts,
+            interruptCycles: this.interruptCycles,
+            pendingCycles: this.pendingCycles
+        };
+    }
+
+    /**
+     * Takes back the counts of one step
+     * @param {Array} journal - Entries logged while the step ran
+     * @param {Object} totals - saveTotals() from before the step
+     */
+    undo(journal, totals) {
+        for (let i = journal.length - 1; i >= 0; i--) {
+            const record = journal[i];
+            if (record.instruction) {
+                const entry = this.instructions[record.instruction];
+                entry.count--;
+                entry.cycles -= record.cycles;
+                if (entry.count === 0) delete this.instructions[record.instruction];
+            } else {
+                this[record.counter][record.address]--;
+            }
+        }
+        Object.assign(this, totals);
+    }
+
+    /**
+     * Total accesses (fetches + reads + writes) of an address
+     * @param {number} address - Address
+     * @returns {number}
+     */
+    hits(address) {
+        return this.fetches[address] + this.reads[address] + this.writes[address];
+    }
+
+    /**
+     * Highest total access count of any address (for heatmap scaling)
+     * @returns {number}
+     */
+    maxHits() {
+        let max = 0;
+        for (let i = 0; i < this.size; i++) {
+            const h = this.hits(i);
+            if (h > max) max = h;
+        }
+        return max;
+    }
+
+    /**
+     * Per-address counts for every address that was accessed
+     * @returns {Array<{address: string, fetches: number, reads: number, writes: number, total: number}>}
+     */
+    addressReport() {
+        const rows = [];
+        for (let i = 0; i < this.size; i++) {
+            const total = this.hits(i);
+            if (total > 0) {
+                rows.push({
+                    address: Utils.decToHex(i, 3),
+                    fetches: this.fetches[i],
+                    reads: this.reads[i],
+                    writes: this.writes[i],
+                    total
+                });
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Per-instruction counts, most cycles first
+     * @returns {Array<{name: string, count: number, cycles: number, average: number, share: number}>}
+     */
+    instructionReport() {
+        return Object.keys(this.instructions).map(name => {
+            const { count, cycles } = this.instructions[name];
+            return {
+                name,
+                count,
+                cycles,
+                average: cycles / count,
+                share: this.totalCycles > 0 ? cycles / this.totalCycles : 0
+            };
+        }).sort((a, b) => b.cycles - a.cycles);
+    }
+
+    /**
+     * Plain-text report (used by the headless runner)
+     * @param {number} [topAddresses=10] - Number of busiest addresses to list
+     * @returns {string}
+     */
+    formatReport(topAddresses = 10) {
+        const lines = [];
+        const executed = this.instructionReport().reduce((sum, row) => sum + row.count, 0);
+        lines.push(`Cycles: ${this.totalCycles}  Instructions: ${executed}  ` +
+            `Interrupts: ${this.interrupts} (${this.interruptCycles} cycles)`);
+
+        lines.push('');
+        lines.push('Instruction   Count    Cycles   Avg   Share');
+        this.instructionReport().forEach(row => {
+            lines.push(`${row.name.padEnd(12)}${String(row.count).padStart(7)}${String(row.cycles).padStart(10)}` +
+                `${row.average.toFixed(1).padStart(6)}${(row.share * 100).toFixed(1).padStart(7)}%`);
+        });
+
+        lines.push('');
+        lines.push('Address  Fetches    Reads   Writes');
+        this.addressReport()
+            .sort((a, b) => b.total - a.total)
+            .slice(0, topAddresses)
+            .forEach(row => {
+                lines.push(`${row.address.padEnd(7)}${String(row.fetches).padStart(9)}` +
+                    `${String(row.reads).padStart(9)}${String(row.writes).padStart(9)}`);
+            });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Mnemonic for an instruction word; combined register/IO
+     * instructions are joined with '+'
+     * @param {number} word - 16-bit instruction
+     * @returns {string}
+     */
+    static instructionName(word) {
+        const opcode = (word >> 12) & 7;
+        if (opcode !== 7) {
+            return Profiler.MRI[opcode] + ((word & 0x8000) ? ' I' : '');
+        }
+        const table = (word & 0x8000) ? Profiler.IO : Profiler.RRI;
+        const names = [];
+        for (const [bit, name] of table) {
+            if (word & bit) names.push(name);
+        }
+        return names.length > 0 ? names.join('+') : Utils.decToHex(word, 4);
+    }
+}
+
+/** Memory-reference mnemonics by opcode */
+Profiler.MRI = ['AND', 'ADD', 'LDA', 'STA', 'BUN', 'BSA', 'ISZ'];
+
+/** Register-reference mnemonics by bit, in bit order (high to low) */
+Profiler.RRI = [
+    [0x800, 'CLA'], [0x400, 'CLE'], [0x200, 'CMA'], [0x100, 'CME'],
+    [0x080, 'CIR'], [0x040, 'CIL'], [0x020, 'INC'], [0x010, 'SPA'],
+    [0x008, 'SNA'], [0x004, 'SZA'], [0x002, 'SZE'], [0x001, 'HLT']
+];
+
+/** Input-output mnemonics by bit, in bit order (high to low) */
+Profiler.IO = [
+    [0x800, 'INP'], [0x400, 'OUT'], [0x200, 'SKI'], [0x100, 'SKO'],
+    [0x080, 'ION'], [0x040, 'IOF']
+];
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Profiler;
+}
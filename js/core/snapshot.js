@@ -0,0 +1,140 @@
+/**
+ * Machine Snapshots for SARBA Simulator (Mano Basic Computer)
+ *
+ * @description Serializes the complete machine state (CPU registers, flags,
+ * sequence counter, memory and the simulator's program/I-O state) to a plain
+ * JSON object and restores it again, so a session can be saved to a file and
+ * resumed later exactly where it stopped - including mid-instruction or
+ * inside an interrupt service routine.
+ */
+
+const Snapshot = {
+    /** @type {string} Identifies snapshot files */
+    FORMAT: 'sarba-snapshot',
+
+    /** @type {number} Current file format version */
+    VERSION: 1,
+
+    /** Register names and their width in hex digits */
+    REGISTERS: {
+        PC: 3, AR: 3, IR: 4, DR: 4, AC: 4, TR: 4, INPR: 2, OUTR: 2
+    },
+
+    /**
+     * Captures the machine state
+     * @param {Object} machine - Parts of the machine to save
+     * @param {CPU} machine.cpu - CPU instance
+     * @param {Memory} machine.memory - Memory instance
+     * @param {Object} [machine.labels={}] - Label name -> address
+     * @param {Object} [machine.usageMap={}] - Address -> 'code' | 'data'
+     * @param {number[]} [machine.inputQueue=[]] - Pending input character codes
+     * @param {string} [machine.outputBuffer=''] - Output printed so far
+     * @returns {Object} JSON-serializable snapshot
+     */
+    create: ({ cpu, memory, labels = {}, usageMap = {}, inputQueue = [], outputBuffer = '' }) => {
+        const state = cpu.saveState();
+
+        // Registers are written as hex so the file is readable and editable
+        const registers = {};
+        for (const name in Snapshot.REGISTERS) {
+            registers[name] = Utils.decToHex(state[name], Snapshot.REGISTERS[name]);
+            delete state[name];
+        }
+
+        const words = {};
+        memory.getNonZeroMemory().forEach(({ address, content }) => {
+            words[address] = content;
+        });
+
+        return {
+            format: Snapshot.FORMAT,
+            version: Snapshot.VERSION,
+            created: new Date().toISOString(),
+            cpu: { registers, ...state },
+            memory: words,
+            labels: { ...labels },
+            usageMap: { ...usageMap },
+            inputQueue: inputQueue.slice(),
+            outputBuffer
+        };
+    },
+
+    /**
+     * Parses and validates snapshot file contents
+     * @param {string} text - JSON text
+     * @returns {Object} Snapshot object
+     * @throws {Error} If the text is not a valid snapshot
+     */
+    parse: (text) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Snapshot is not valid JSON: ${e.message}`);
+        }
+
+        if (!data || data.format !== Snapshot.FORMAT) {
+            throw new Error('File is not a SARBA snapshot');
+        }
+        if (data.version > Snapshot.VERSION) {
+            throw new Error(`Snapshot version ${data.version} is newer than supported (${Snapshot.VERSION})`);
+        }
+        if (!data.cpu || !data.cpu.registers || typeof data.memory !== 'object') {
+            throw new Error('Snapshot is missing CPU or memory state');
+        }
+
+        for (const name in Snapshot.REGISTERS) {
+            const value = data.cpu.registers[name];
+            const width = Snapshot.REGISTERS[name];
+            if (typeof value !== 'string' || !new RegExp(`^[0-9A-Fa-f]{1,${width}}$`).test(value)) {
+                throw new Error(`Invalid value for register ${name}: '${value}'`);
+            }
+        }
+        for (const addr in data.memory) {
+            if (!/^[0-9A-Fa-f]{1,3}$/.test(addr) || !/^[0-9A-Fa-f]{1,4}$/.test(data.memory[addr])) {
+                throw new Error(`Invalid memory entry '${addr}: ${data.memory[addr]}'`);
+            }
+        }
+        if (!Number.isInteger(data.cpu.SC) || data.cpu.SC < 0 || data.cpu.SC > 6) {
+            throw new Error(`Invalid sequence counter: '${data.cpu.SC}'`);
+        }
+        return data;
+    },
+
+    /**
+     * Loads a snapshot into the CPU and memory
+     * @param {Object} snapshot - Snapshot from create() or parse()
+     * @param {CPU} cpu - CPU to restore into
+     * @param {Memory} memory - Memory to restore into
+     * @returns {{labels: Object, usageMap: Object, inputQueue: number[], outputBuffer: string}}
+     *          Simulator state stored alongside the machine
+     */
+    restore: (snapshot, cpu, memory) => {
+        memory.reset();
+        memory.loadProgram(snapshot.memory);
+        cpu.reset();
+
+        // Start from reset values and only take fields the CPU actually saves
+        const state = cpu.saveState();
+        for (const key in state) {
+            if (key in Snapshot.REGISTERS) {
+                state[key] = parseInt(snapshot.cpu.registers[key], 16);
+            } else if (key in snapshot.cpu) {
+                state[key] = snapshot.cpu[key];
+            }
+        }
+        cpu.restoreState(state);
+
+        return {
+            labels: { ...(snapshot.labels || {}) },
+            usageMap: { ...(snapshot.usageMap || {}) },
+            inputQueue: (snapshot.inputQueue || []).slice(),
+            outputBuffer: snapshot.outputBuffer || ''
+        };
+    }
+};
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Snapshot;
+}
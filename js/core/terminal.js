@@ -0,0 +1,174 @@
+/**
+ * Terminal Emulation for SARBA Simulator (Mano Basic Computer)
+ *
+ * @description Turns the character stream a program sent through OUTR into
+ * the text a teleprinter-style terminal would show: CR returns to the start
+ * of the line, LF starts a new line, BS moves back one column (the next
+ * character overwrites), TAB advances to the next tab stop, FF clears the
+ * screen and BEL is not printed (the console flashes instead). Other control
+ * codes are shown as their Unicode control pictures so they stay visible.
+ *
+ * The screen is kept between updates and only characters added to the
+ * stream since the last update are interpreted, so printing stays cheap as
+ * the output grows. The cursor never moves up, so finished lines are final;
+ * the oldest ones scroll away after SCROLLBACK lines.
+ */
+
+class Terminal {
+    /** Control codes the terminal acts on */
+    static BS = 0x08;
+    static TAB = 0x09;
+    static LF = 0x0A;
+    static FF = 0x0C;
+    static CR = 0x0D;
+    static BEL = 0x07;
+
+    /** Columns between tab stops */
+    static TAB_WIDTH = 8;
+
+    /** Finished lines kept on screen */
+    static SCROLLBACK = 1000;
+
+    /** Most recent output bytes shown in the hex dump */
+    static HEX_LIMIT = 4096;
+
+    /**
+     * Creates an empty screen
+     */
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Clears the screen and forgets the consumed stream
+     */
+    reset() {
+        /** @type {string[]} Lines above the cursor line, oldest first */
+        this.lines = [];
+
+        /** @type {string[]} Characters of the line holding the cursor */
+        this.line = [];
+
+        /** @type {number} Cursor column */
+        this.col = 0;
+
+        /** @type {number} Stream position up to which output was interpreted */
+        this.consumed = 0;
+    }
+
+    /**
+     * Brings the screen up to date with an output stream. The caller may
+     * trim old output from the front and pass how much it dropped. A stream
+     * that ends before the part already consumed (cleared), or whose kept
+     * part starts after it, is rendered again from its start; one replaced
+     * by different text needs reset().
+     * @param {string} output - OUTR characters, one per byte sent
+     * @param {number} [base=0] - Stream position of output[0]
+     * @returns {Terminal} This terminal
+     */
+    update(output, base = 0) {
+        const end = base + output.length;
+        if (end < this.consumed || base > this.consumed) {
+            this.reset();
+            this.consumed = base;
+        }
+        for (let i = this.consumed - base; i < output.length; i++) {
+            this.put(output.charCodeAt(i) & 0xFF);
+        }
+        this.consumed = end;
+        return this;
+    }
+
+    /**
+     * Interprets one output character
+     * @param {number} code - 8-bit character code
+     */
+    put(code) {
+        switch (code) {
+            case Terminal.CR:
+                this.col = 0;
+                break;
+            case Terminal.LF:
+                // Output processing as on a Unix terminal: LF also returns
+                // the carriage, so programs printing bare LF get new lines
+                this.lines.push(this.line.join(''));
+                if (this.lines.length > Terminal.SCROLLBACK) this.lines.shift();
+                this.line = [];
+                this.col = 0;
+                break;
+            case Terminal.BS:
+                if (this.col > 0) this.col--;
+                break;
+            case Terminal.TAB:
+                this.col += Terminal.TAB_WIDTH - (this.col % Terminal.TAB_WIDTH);
+                break;
+            case Terminal.FF:
+                this.lines = [];
+                this.line = [];
+                this.col = 0;
+                break;
+            case Terminal.BEL:
+                break;
+            default:
+                while (this.line.length < this.col) this.line.push(' ');
+                this.line[this.col++] = Terminal.printable(code);
+        }
+    }
+
+    /**
+     * Screen contents
+     * @returns {string} Lines joined with '\n'
+     */
+    text() {
+        return this.lines.concat(this.line.join('')).join('\n');
+    }
+
+    /**
+     * Renders a whole output stream at once
+     * @param {string} output - OUTR characters, one per byte sent
+     * @returns {string} Screen contents, lines joined with '\n'
+     * @example
+     * Terminal.render('ab\bc\r\nx\ty') // Returns 'ac\nx       y'
+     */
+    static render(output) {
+        return new Terminal().update(output).text();
+    }
+
+    /**
+     * Character shown for an output code the terminal does not act on
+     * @param {number} code - 8-bit character code
+     * @returns {string} The character, or its control picture (␀, ␛, ␡)
+     */
+    static printable(code) {
+        if (code < 0x20) return String.fromCharCode(0x2400 + code);
+        if (code === 0x7F) return '␡';
+        return String.fromCharCode(code);
+    }
+
+    /**
+     * Formats the raw output stream as a hex dump, 16 bytes per line; only
+     * the last HEX_LIMIT bytes are listed (offsets stay those of the stream,
+     * with more than four digits past FFFF)
+     * @param {string} output - OUTR characters, one per byte sent
+     * @param {number} [base=0] - Stream position of output[0]
+     * @returns {string} Lines like "0010: 48 65 6C 6C 6F 0D 0A"
+     */
+    static hexDump(output, base = 0) {
+        const out = [];
+        const first = Math.max(0, output.length - Terminal.HEX_LIMIT) & ~0xF;
+        for (let offset = first; offset < output.length; offset += 16) {
+            const bytes = [];
+            for (let i = offset; i < Math.min(offset + 16, output.length); i++) {
+                bytes.push(Utils.decToHex(output.charCodeAt(i) & 0xFF, 2));
+            }
+            const position = (base + offset).toString(16).toUpperCase().padStart(4, '0');
+            out.push(`${position}: ${bytes.join(' ')}`);
+        }
+        return out.join('\n');
+    }
+}
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Terminal;
+}
@@ -10,23 +10,76 @@
 const SimState = {
     memory: null,
     cpu: null,
+    history: null,
+    profiler: null,
     currentLabels: {},
     currentUsageMap: {},
+    startAddress: null, // Start address of the last assembled program
+    listing: '',
+    sourceMap: {},
+    sourceFiles: {},
+    sourceFile: null,
     runInterval: null,
-    runSpeed: 50,
+    runFrame: null,
+    clockHz: 20,
+    runStats: null,
     traceHistory: [],
+    historyDropped: false, // A fast run went by without recording history
     currentInstrAddr: '000',
     inputQueue: [],
-    outputBuffer: ''
+    outputBuffer: '',
+    outputBase: 0, // Output bytes trimmed from the front of outputBuffer
+    bellTimer: null,
+    terminal: null, // Screen of the output console, updated as output arrives
+    video: null
 };
 
+// Selectable clock rates for Run (Infinity = as fast as possible)
+const CLOCK_SPEEDS = [1, 2, 5, 10, 20, 50, 100, 1000, 10000, 100000, 1000000, Infinity];
+
+// Rates up to this run one micro-op per timer tick with full trace/history;
+// faster rates run in batches once per animation frame
+const INTERVAL_MAX_HZ = 100;
+
+// Milliseconds of each animation frame spent executing in batched mode
+const FRAME_BUDGET_MS = 12;
+
+// Queued input characters shown in the I/O console
+const IO_QUEUE_PREVIEW = 64;
+
+// Output bytes kept; the buffer is trimmed back to this once it doubles
+const OUTPUT_KEEP = 65536;
+
+// Video display character cell in canvas pixels
+const VIDEO_CELL_WIDTH = 10;
+const VIDEO_CELL_HEIGHT = 18;
+
 // Memory view state
 const memState = {
     format: 'hex',
     showAll: false,
-    filterAddr: null
+    filterAddr: null,
+    heatmap: false
+};
+
+// Profile report sort state (column key and direction, -1 = descending)
+const profState = {
+    addrSort: 'total',
+    addrDir: -1,
+    instrSort: 'cycles',
+    instrDir: -1
+};
+
+// Editor files; files[0] is the main file that Assemble builds, the
+// others can be pulled in with INCLUDE "name"
+const fileState = {
+    files: [{ name: 'main.asm', code: '' }],
+    active: 0
 };
 
+// localStorage key the editor files are kept under
+const FILES_STORAGE_KEY = 'sarba-files';
+
 // DOM Elements cache
 let elements = {};
 
@@ -38,15 +91,26 @@ function initElements() {
     elements = {
         // Editor
         editor: document.getElementById('assembly-editor'),
+        fileTabs: document.getElementById('file-tabs'),
+        fileNew: document.getElementById('file-new'),
+        editorPcLine: document.getElementById('editor-pc-line'),
+        editorExecLine: document.getElementById('editor-exec-line'),
         btnAssemble: document.getElementById('btn-assemble'),
         logPanel: document.getElementById('log-panel'),
+        btnListing: document.getElementById('btn-listing'),
+        btnPrintListing: document.getElementById('btn-print-listing'),
 
         // Control buttons
         btnReset: document.getElementById('btn-reset'),
         btnStep: document.getElementById('btn-step'),
         btnStepInst: document.getElementById('btn-step-inst'),
+        btnBack: document.getElementById('btn-back'),
+        btnBackInst: document.getElementById('btn-back-inst'),
         btnRun: document.getElementById('btn-run'),
         btnStop: document.getElementById('btn-stop'),
+        runSpeed: document.getElementById('run-speed'),
+        runSpeedLabel: document.getElementById('run-speed-label'),
+        runRate: document.getElementById('run-rate'),
 
         // Registers
         regDR: document.getElementById('reg-dr'),
@@ -67,6 +131,16 @@ function initElements() {
         flagFGI: document.getElementById('flag-fgi'),
         flagFGO: document.getElementById('flag-fgo'),
 
+        // Devices
+        deviceList: document.getElementById('device-list'),
+        ioPageEnable: document.getElementById('io-page-enable'),
+        videoEnable: document.getElementById('video-enable'),
+        videoBase: document.getElementById('video-base'),
+        videoColumns: document.getElementById('video-columns'),
+        videoRows: document.getElementById('video-rows'),
+        videoCard: document.getElementById('video-card'),
+        videoCanvas: document.getElementById('video-canvas'),
+
         // Timing LEDs
         lblMicroOp: document.getElementById('lbl-micro-op'),
         leds: {
@@ -86,9 +160,17 @@ function initElements() {
         ioInput: document.getElementById('io-input'),
         ioInputSend: document.getElementById('io-input-send'),
         ioInputClear: document.getElementById('io-input-clear'),
+        ioInputLoad: document.getElementById('io-input-load'),
+        ioInputFile: document.getElementById('io-input-file'),
+        ioNewline: document.getElementById('io-newline'),
+        ioAppendNewline: document.getElementById('io-append-newline'),
+        ioEof: document.getElementById('io-eof'),
         ioQueue: document.getElementById('io-queue'),
         ioOutput: document.getElementById('io-output'),
+        ioOutputHex: document.getElementById('io-output-hex'),
+        ioOutputHexToggle: document.getElementById('io-output-hex-toggle'),
         ioOutputClear: document.getElementById('io-output-clear'),
+        ioLatency: document.getElementById('io-latency'),
 
         // Input Required Modal
         inputModal: document.getElementById('input-modal'),
@@ -101,20 +183,44 @@ function initElements() {
         memBtns: document.querySelectorAll('.mem-btn'),
         memGoto: document.getElementById('mem-goto'),
         memShowAll: document.getElementById('mem-show-all'),
+        memHeatmap: document.getElementById('mem-heatmap'),
+        btnProfile: document.getElementById('btn-profile'),
+        btnDisassemble: document.getElementById('btn-disassemble'),
+
+        // Breakpoints & Watchpoints
+        watchAddr: document.getElementById('watch-addr'),
+        watchMode: document.getElementById('watch-mode'),
+        watchAdd: document.getElementById('watch-add'),
+        debugList: document.getElementById('debug-list'),
+
+        // Snapshots
+        snapshotSave: document.getElementById('snapshot-save'),
+        snapshotLoad: document.getElementById('snapshot-load'),
+        snapshotFile: document.getElementById('snapshot-file'),
 
         // Trace Modal
         traceModal: document.getElementById('trace-modal'),
-        traceBody: document.getElementById('trace-tbody')
+        traceBody: document.getElementById('trace-tbody'),
+
+        // Profile Modal
+        profileModal: document.getElementById('profile-modal'),
+        profileSummary: document.getElementById('profile-summary'),
+        profileAddrBody: document.getElementById('profile-addr-tbody'),
+        profileInstrBody: document.getElementById('profile-instr-tbody')
     };
 }
 
 function initSimulator() {
     SimState.memory = new Memory();
     SimState.cpu = new CPU(SimState.memory);
+    SimState.history = new ExecutionHistory(SimState.cpu, SimState.memory);
+    SimState.profiler = new Profiler(SimState.memory.size);
+    SimState.cpu.profiler = SimState.profiler;
+    SimState.terminal = new Terminal();
     
-    // Set up CPU callbacks for I/O
-    SimState.cpu.onOutput = handleCPUOutput;
-    SimState.cpu.onInputRequired = handleInputRequired;
+    // The I/O console is the keyboard and teleprinter device
+    SimState.cpu.bus.teleprinter.onOutput = handleCPUOutput;
+    SimState.cpu.bus.keyboard.onInputRequired = handleInputRequired;
 }
 
 // ============================================================================
@@ -134,46 +240,6 @@ function log(msg, type = 'info') {
     }
 }
 
-// ============================================================================
-// DISASSEMBLY
-// ============================================================================
-
-function disassemble(val, addr) {
-    const addrInt = parseInt(addr, 16);
-    const usage = SimState.currentUsageMap[addrInt];
-
-    if (usage === 'data') {
-        return 'HEX ' + Utils.decToHex(val, 4);
-    }
-
-    if (val === 0 && !usage) return '';
-
-    const I = (val >> 15) & 1;
-    const opcode = (val >> 12) & 7;
-    const address = val & 0xFFF;
-    const hexAddr = Utils.decToHex(address, 3);
-
-    const mri = ['AND', 'ADD', 'LDA', 'STA', 'BUN', 'BSA', 'ISZ'];
-    if (opcode < 7) {
-        return `${mri[opcode]} ${hexAddr}${I ? ' I' : ''}`;
-    }
-
-    if (I === 0) {
-        const rriMap = {
-            0x7800: 'CLA', 0x7400: 'CLE', 0x7200: 'CMA', 0x7100: 'CME',
-            0x7080: 'CIR', 0x7040: 'CIL', 0x7020: 'INC', 0x7010: 'SPA',
-            0x7008: 'SNA', 0x7004: 'SZA', 0x7002: 'SZE', 0x7001: 'HLT'
-        };
-        return rriMap[val] || 'HEX ' + Utils.decToHex(val, 4);
-    }
-
-    const ioMap = {
-        0xF800: 'INP', 0xF400: 'OUT', 0xF200: 'SKI', 0xF100: 'SKO',
-        0xF080: 'ION', 0xF040: 'IOF'
-    };
-    return ioMap[val] || 'HEX ' + Utils.decToHex(val, 4);
-}
-
 // ============================================================================
 // I/O HANDLING
 // ============================================================================
@@ -181,7 +247,14 @@ function disassemble(val, addr) {
 function handleCPUOutput(charCode) {
     const char = String.fromCharCode(charCode);
     SimState.outputBuffer += char;
-    updateIODisplay();
+    if (SimState.outputBuffer.length > 2 * OUTPUT_KEEP) {
+        const drop = SimState.outputBuffer.length - OUTPUT_KEEP;
+        SimState.outputBuffer = SimState.outputBuffer.slice(drop);
+        SimState.outputBase += drop;
+    }
+    // Batched runs repaint the I/O panel once per frame instead
+    if (!SimState.runFrame) updateIODisplay();
+    if (charCode === Terminal.BEL) ringBell();
     
     // Add glow effect to bubble when there's new output
     if (elements.ioBubble) {
@@ -189,6 +262,13 @@ function handleCPUOutput(charCode) {
     }
 }
 
+function ringBell() {
+    if (!elements.ioOutput) return;
+    elements.ioOutput.classList.add('bell');
+    clearTimeout(SimState.bellTimer);
+    SimState.bellTimer = setTimeout(() => elements.ioOutput.classList.remove('bell'), 300);
+}
+
 function handleInputRequired() {
     if (SimState.inputQueue.length > 0) {
         const charCode = SimState.inputQueue.shift();
@@ -199,10 +279,24 @@ function handleInputRequired() {
     }
 }
 
-function queueInput(char) {
-    if (char && char.length > 0) {
-        const charCode = char.charCodeAt(0);
-        SimState.inputQueue.push(charCode);
+/**
+ * Queues text as INP characters, converted with the console's line end and
+ * end marker settings
+ * @param {string} text - Typed, pasted or loaded text
+ * @param {boolean} [addLineEnd=false] - Send a line end after the text
+ * @returns {number} Number of codes queued
+ */
+function queueInput(text, addLineEnd = false) {
+    const { codes, replaced } = Utils.encodeInput(addLineEnd ? `${text}\n` : text, {
+        newline: elements.ioNewline ? elements.ioNewline.value : 'lf',
+        eof: elements.ioEof && elements.ioEof.value ? parseInt(elements.ioEof.value, 16) : null
+    });
+    if (replaced > 0) {
+        log(`${replaced} character(s) do not fit in 8 bits and were queued as '?'.`, 'warning');
+    }
+
+    if (codes.length > 0) {
+        codes.forEach(code => SimState.inputQueue.push(code));
         let fgiWasSet = false;
         
         // If CPU is waiting for input, provide it immediately from queue
@@ -215,12 +309,7 @@ function queueInput(char) {
         } else if (!SimState.cpu.waitingForInput) {
             // If CPU is not waiting, set FGI flag immediately if queue has items
             // This allows SKI instruction to work correctly
-            if (SimState.inputQueue.length > 0 && !SimState.cpu.FGI) {
-                // Auto-feed first character from queue to INPR and set FGI
-                const code = SimState.inputQueue.shift();
-                SimState.cpu.setInput(code);
-                fgiWasSet = true;
-            }
+            fgiWasSet = feedInput();
         }
         
         updateIODisplay();
@@ -229,6 +318,34 @@ function queueInput(char) {
             updateUI();
         }
     }
+    return codes.length;
+}
+
+/**
+ * Keyboard model: the next queued character is ready whenever FGI is clear,
+ * so programs polling SKI read a whole queued line
+ * @returns {boolean} Whether a character was moved to INPR
+ */
+function feedInput() {
+    if (SimState.cpu.FGI || SimState.inputQueue.length === 0) return false;
+    SimState.cpu.setInput(SimState.inputQueue.shift());
+    return true;
+}
+
+function sendConsoleInput() {
+    const appendLineEnd = !!(elements.ioAppendNewline && elements.ioAppendNewline.checked);
+    queueInput(elements.ioInput.value, appendLineEnd);
+    elements.ioInput.value = '';
+}
+
+function loadInputFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        const count = queueInput(reader.result);
+        log(`Queued ${count} input character(s) from ${file.name}.`, 'success');
+    };
+    reader.onerror = () => log(`Could not read ${file.name}.`, 'error');
+    reader.readAsText(file);
 }
 
 function updateIODisplay() {
@@ -236,18 +353,28 @@ function updateIODisplay() {
         if (SimState.inputQueue.length === 0) {
             elements.ioQueue.textContent = '(empty)';
         } else {
-            const chars = SimState.inputQueue.map(code => {
-                const char = String.fromCharCode(code);
-                return char === ' ' ? '␣' : char;
+            // Control codes as their Unicode pictures (␍ ␊ ␄ ...); long queues are cut short
+            const shown = SimState.inputQueue.slice(0, IO_QUEUE_PREVIEW);
+            const chars = shown.map(code => {
+                if (code === 0x20) return '␣';
+                if (code < 0x20) return String.fromCharCode(0x2400 + code);
+                if (code === 0x7F) return '␡';
+                return String.fromCharCode(code);
             }).join('');
-            elements.ioQueue.textContent = `"${chars}" (${SimState.inputQueue.length})`;
+            const more = SimState.inputQueue.length > shown.length ? '…' : '';
+            elements.ioQueue.textContent = `"${chars}"${more} (${SimState.inputQueue.length})`;
         }
     }
     
     if (elements.ioOutput) {
-        elements.ioOutput.textContent = SimState.outputBuffer;
+        elements.ioOutput.textContent = SimState.terminal.update(SimState.outputBuffer, SimState.outputBase).text();
         elements.ioOutput.scrollTop = elements.ioOutput.scrollHeight;
     }
+
+    if (elements.ioOutputHex && elements.ioOutputHexToggle && elements.ioOutputHexToggle.checked) {
+        elements.ioOutputHex.textContent = Terminal.hexDump(SimState.outputBuffer, SimState.outputBase);
+        elements.ioOutputHex.scrollTop = elements.ioOutputHex.scrollHeight;
+    }
 }
 
 function toggleIOModal() {
@@ -285,22 +412,14 @@ function hideInputModal() {
 
 function submitModalInput() {
     if (elements.inputModalField && elements.inputModalField.value) {
-        const char = elements.inputModalField.value.charAt(0);
-        // If CPU is waiting for input, provide it directly and set FGI
-        if (SimState.cpu.waitingForInput) {
-            SimState.cpu.setInput(char.charCodeAt(0));
-            updateIODisplay();
-            updateUI(); // Update UI to show FGI flag is now true
-            // Don't auto-resume - let user control execution
-        } else {
-            // CPU not waiting - add to queue (which will set FGI if queue was empty)
-            queueInput(char);
-            updateUI(); // Update UI to show FGI flag if it was set
-        }
-        hideInputModal();
-    } else {
-        hideInputModal();
+        // The first character goes to INPR right away (the CPU is waiting),
+        // the rest of the line stays queued for the next INP instructions
+        const appendLineEnd = !!(elements.ioAppendNewline && elements.ioAppendNewline.checked);
+        queueInput(elements.inputModalField.value, appendLineEnd);
+        updateUI(); // Update UI to show FGI flag is now true
+        // Don't auto-resume - let user control execution
     }
+    hideInputModal();
 }
 
 // ============================================================================
@@ -314,14 +433,18 @@ function updateTiming(res) {
     }
     
     Object.values(elements.leds).forEach(led => {
-        if (led) led.classList.remove('active');
+        if (led) led.classList.remove('active', 'interrupt');
     });
     
     if (SimState.cpu.S && res.msg) {
-        const match = res.msg.match(/^T(\d):/);
+        // RTn steps belong to the interrupt cycle and light the LED in amber
+        const match = res.msg.match(/^(R?)T(\d):/);
         if (match) {
-            const led = elements.leds[`t${match[1]}`];
-            if (led) led.classList.add('active');
+            const led = elements.leds[`t${match[2]}`];
+            if (led) {
+                led.classList.add('active');
+                if (match[1]) led.classList.add('interrupt');
+            }
         }
     }
 }
@@ -329,29 +452,30 @@ function updateTiming(res) {
 function recordTrace(res) {
     if (!res.msg) return '';
 
-    const tMatch = res.msg.match(/^T(\d):/);
-    const tVal = tMatch ? parseInt(tMatch[1]) : -1;
+    const tMatch = res.msg.match(/^(R?)T(\d):/);
+    const tVal = tMatch ? parseInt(tMatch[2]) : -1;
 
     let phase = "";
-    if (tVal >= 0 && tVal <= 1) phase = "Fetch";
+    if (res.interrupt) phase = "Interrupt";
+    else if (tVal >= 0 && tVal <= 1) phase = "Fetch";
     else if (tVal === 2) phase = "Decode";
     else if (tVal === 3) phase = SimState.cpu.I ? "Indirect" : "Execute";
     else if (tVal > 3) phase = "Execute";
 
     if (tVal === 0) {
-        SimState.currentInstrAddr = SimState.cpu.PC;
+        SimState.currentInstrAddr = Utils.decToHex(SimState.cpu.PC, 3);
     }
 
     SimState.traceHistory.push({
         instrAddr: SimState.currentInstrAddr,
         phase: phase,
-        timing: tMatch ? `T${tMatch[1]}` : '-',
+        timing: tMatch ? `${tMatch[1]}T${tMatch[2]}` : '-',
         op: res.msg,
-        ir: SimState.cpu.IR,
-        ac: SimState.cpu.AC,
-        dr: SimState.cpu.DR,
-        pc: SimState.cpu.PC,
-        ar: SimState.cpu.AR,
+        ir: Utils.decToHex(SimState.cpu.IR, 4),
+        ac: Utils.decToHex(SimState.cpu.AC, 4),
+        dr: Utils.decToHex(SimState.cpu.DR, 4),
+        pc: Utils.decToHex(SimState.cpu.PC, 3),
+        ar: Utils.decToHex(SimState.cpu.AR, 3),
         memAr: SimState.memory.read(SimState.cpu.AR),
         e: SimState.cpu.E ? '1' : '0'
     });
@@ -362,14 +486,14 @@ function recordTrace(res) {
 function updateUI(res = { msg: 'Ready' }) {
     if (!elements.regDR) return;
 
-    elements.regDR.textContent = SimState.cpu.DR;
-    elements.regAC.textContent = SimState.cpu.AC;
-    elements.regAR.textContent = SimState.cpu.AR;
-    elements.regPC.textContent = SimState.cpu.PC;
-    elements.regIR.textContent = SimState.cpu.IR;
-    elements.regTR.textContent = SimState.cpu.TR;
-    elements.regINPR.textContent = SimState.cpu.INPR;
-    elements.regOUTR.textContent = SimState.cpu.OUTR;
+    elements.regDR.textContent = Utils.decToHex(SimState.cpu.DR, 4);
+    elements.regAC.textContent = Utils.decToHex(SimState.cpu.AC, 4);
+    elements.regAR.textContent = Utils.decToHex(SimState.cpu.AR, 3);
+    elements.regPC.textContent = Utils.decToHex(SimState.cpu.PC, 3);
+    elements.regIR.textContent = Utils.decToHex(SimState.cpu.IR, 4);
+    elements.regTR.textContent = Utils.decToHex(SimState.cpu.TR, 4);
+    elements.regINPR.textContent = Utils.decToHex(SimState.cpu.INPR, 2);
+    elements.regOUTR.textContent = Utils.decToHex(SimState.cpu.OUTR, 2);
 
     updateFlag(elements.flagE, SimState.cpu.E);
     updateFlag(elements.flagI, SimState.cpu.I);
@@ -380,6 +504,64 @@ function updateUI(res = { msg: 'Ready' }) {
     updateFlag(elements.flagFGO, SimState.cpu.FGO);
 
     updateTiming(res);
+    updateSourceHighlight();
+    updateDevicePanel();
+    drawVideoDisplay();
+}
+
+function updateDevicePanel() {
+    if (!elements.deviceList) return;
+    const bus = SimState.cpu.bus;
+    const pending = bus.pending();
+    elements.deviceList.innerHTML = '';
+
+    bus.devices.forEach(device => {
+        const row = document.createElement('div');
+        row.className = 'device-item';
+
+        const name = document.createElement('span');
+        name.className = 'device-name';
+        name.textContent = device.name;
+        row.appendChild(name);
+
+        if (device.irq !== null) {
+            const irq = document.createElement('span');
+            const masked = (bus.mask & (1 << device.irq)) === 0;
+            irq.className = 'device-irq';
+            if (pending & (1 << device.irq)) irq.classList.add('pending');
+            if (masked) irq.classList.add('masked');
+            irq.textContent = `IRQ${device.irq}`;
+            irq.title = masked ? 'Interrupt line masked' : 'Interrupt line enabled';
+            row.appendChild(irq);
+        }
+
+        const status = document.createElement('span');
+        status.className = 'device-status';
+        status.textContent = device.describe();
+        row.appendChild(status);
+
+        if (device instanceof LedPanel) {
+            const leds = document.createElement('div');
+            leds.className = 'device-leds';
+            for (let bit = 15; bit >= 0; bit--) {
+                const led = document.createElement('span');
+                led.className = (device.value >> bit) & 1 ? 'device-led on' : 'device-led';
+                leds.appendChild(led);
+            }
+            row.appendChild(leds);
+        }
+        elements.deviceList.appendChild(row);
+    });
+
+    const regs = document.createElement('div');
+    regs.className = 'device-regs';
+    regs.textContent = `Pending (${Utils.decToHex(IOBus.PENDING_ADDRESS, 3)}) ${Utils.decToHex(pending, 4)}  ` +
+        `Mask (${Utils.decToHex(IOBus.MASK_ADDRESS, 3)}) ${Utils.decToHex(bus.mask, 4)}` +
+        (bus.ioPage ? '' : '  (I/O page off: FF0-FFF is memory)');
+    elements.deviceList.appendChild(regs);
+
+    // Snapshots and step back restore the setting too
+    if (elements.ioPageEnable) elements.ioPageEnable.checked = bus.ioPage;
 }
 
 function updateFlag(el, active) {
@@ -391,6 +573,201 @@ function updateFlag(el, active) {
     }
 }
 
+// ============================================================================
+// EDITOR FILES
+// ============================================================================
+
+/**
+ * Restores the editor files saved in localStorage (keeps the default
+ * single empty main.asm if there are none or they cannot be read)
+ */
+function loadEditorFiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(FILES_STORAGE_KEY));
+        if (saved && Array.isArray(saved.files) && saved.files.length > 0 &&
+            saved.files.every(f => typeof f.name === 'string' && typeof f.code === 'string')) {
+            fileState.files = saved.files.map(f => ({ name: f.name, code: f.code }));
+            fileState.active = Math.min(Math.max(saved.active | 0, 0), saved.files.length - 1);
+        }
+    } catch (e) {
+        console.error('Could not load editor files:', e);
+    }
+}
+
+function saveEditorFiles() {
+    try {
+        localStorage.setItem(FILES_STORAGE_KEY, JSON.stringify(fileState));
+    } catch (e) {
+        console.error('Could not save editor files:', e);
+    }
+}
+
+// Copies the textarea into the active file
+function storeEditorFile() {
+    fileState.files[fileState.active].code = elements.editor.value;
+}
+
+// INCLUDE resolver for the assembler: file contents by name, or null
+function readEditorFile(name) {
+    const file = fileState.files.find(f => f.name === name);
+    return file ? file.code : null;
+}
+
+function renderFileTabs() {
+    if (!elements.fileTabs) return;
+    elements.fileTabs.innerHTML = '';
+
+    fileState.files.forEach((file, index) => {
+        const tab = document.createElement('div');
+        tab.className = `file-tab${index === fileState.active ? ' active' : ''}`;
+        tab.title = index === 0
+            ? 'Main file (assembled). Double-click to rename'
+            : `Use INCLUDE "${file.name}" to assemble it. Double-click to rename`;
+        tab.textContent = file.name;
+        tab.addEventListener('click', () => switchEditorFile(index));
+        tab.addEventListener('dblclick', () => renameEditorFile(index));
+
+        if (index > 0) {
+            const close = document.createElement('span');
+            close.className = 'file-tab-close';
+            close.textContent = '\u00d7';
+            close.title = 'Delete file';
+            close.addEventListener('click', (e) => {
+                e.stopPropagation();
+                deleteEditorFile(index);
+            });
+            tab.appendChild(close);
+        }
+        elements.fileTabs.appendChild(tab);
+    });
+}
+
+function switchEditorFile(index) {
+    if (index === fileState.active) return;
+    storeEditorFile();
+    fileState.active = index;
+    elements.editor.value = fileState.files[index].code;
+    elements.editor.scrollTop = 0;
+    saveEditorFiles();
+    renderFileTabs();
+    updateSourceHighlight();
+}
+
+/**
+ * Asks for a file name; names must be unique and usable in INCLUDE "..."
+ * @param {string} message - Prompt text
+ * @param {string} initial - Suggested name
+ * @param {number} [self=-1] - Index of the file being renamed
+ * @returns {?string} Valid name, or null if cancelled or invalid
+ */
+function askFileName(message, initial, self = -1) {
+    const input = window.prompt(message, initial);
+    if (input === null) return null;
+    const name = input.trim();
+    if (!name || /["\\]/.test(name)) {
+        log(`Invalid file name '${name}'.`, 'error');
+        return null;
+    }
+    if (fileState.files.some((f, i) => i !== self && f.name === name)) {
+        log(`A file named '${name}' already exists.`, 'error');
+        return null;
+    }
+    return name;
+}
+
+function addEditorFile() {
+    const name = askFileName('New file name:', `lib${fileState.files.length}.asm`);
+    if (!name) return;
+    fileState.files.push({ name, code: '' });
+    switchEditorFile(fileState.files.length - 1);
+    log(`Created '${name}'. Add INCLUDE "${name}" to ${fileState.files[0].name} to assemble it.`, 'info');
+}
+
+function renameEditorFile(index) {
+    const old = fileState.files[index].name;
+    const name = askFileName(`Rename '${old}' to:`, old, index);
+    if (!name || name === old) return;
+    fileState.files[index].name = name;
+    if (SimState.sourceFile === old) SimState.sourceFile = name;
+    Object.keys(SimState.sourceFiles).forEach(addr => {
+        if (SimState.sourceFiles[addr] === old) SimState.sourceFiles[addr] = name;
+    });
+    saveEditorFiles();
+    renderFileTabs();
+}
+
+function deleteEditorFile(index) {
+    const file = fileState.files[index];
+    if (index === 0 || !window.confirm(`Delete '${file.name}'?`)) return;
+    storeEditorFile();
+    fileState.files.splice(index, 1);
+    if (fileState.active >= index) fileState.active--;
+    elements.editor.value = fileState.files[fileState.active].code;
+    saveEditorFiles();
+    renderFileTabs();
+    updateSourceHighlight();
+}
+
+// ============================================================================
+// SOURCE HIGHLIGHTING
+// ============================================================================
+
+/**
+ * Marks the editor lines of the next instruction (PC) and of the
+ * instruction currently executing (between T0 and its last T-state)
+ */
+function updateSourceHighlight() {
+    if (!elements.editorPcLine) return;
+
+    // Only lines of the file shown in the editor can be marked
+    const lineOf = (address) => {
+        const file = SimState.sourceFiles[address] || SimState.sourceFile;
+        return file === fileState.files[fileState.active].name ? SimState.sourceMap[address] : undefined;
+    };
+
+    const cpu = SimState.cpu;
+    const pcLine = cpu.S ? lineOf(cpu.PC) : undefined;
+    const execLine = (cpu.SC !== 0 && !cpu.R)
+        ? lineOf(parseInt(SimState.currentInstrAddr, 16))
+        : undefined;
+
+    placeLineMarker(elements.editorPcLine, pcLine);
+    placeLineMarker(elements.editorExecLine, execLine !== pcLine ? execLine : undefined);
+
+    // Follow execution when the editor is visible and the user is not typing
+    const line = execLine || pcLine;
+    if (line && document.activeElement !== elements.editor && elements.editor.offsetParent) {
+        const lineHeight = parseFloat(getComputedStyle(elements.editor).lineHeight);
+        const top = (line - 1) * lineHeight;
+        const view = elements.editor;
+        if (top < view.scrollTop || top + lineHeight > view.scrollTop + view.clientHeight - 32) {
+            view.scrollTop = Math.max(0, top - view.clientHeight / 3);
+        }
+    }
+}
+
+function placeLineMarker(marker, line) {
+    if (!line) {
+        marker.classList.add('hidden');
+        return;
+    }
+    const style = getComputedStyle(elements.editor);
+    const lineHeight = parseFloat(style.lineHeight);
+    const top = parseFloat(style.paddingTop) + (line - 1) * lineHeight - elements.editor.scrollTop;
+    marker.style.top = `${top}px`;
+    marker.style.height = `${lineHeight}px`;
+    marker.dataset.line = line;
+    marker.classList.remove('hidden');
+}
+
+function repositionLineMarkers() {
+    [elements.editorPcLine, elements.editorExecLine].forEach(marker => {
+        if (marker && !marker.classList.contains('hidden')) {
+            placeLineMarker(marker, parseInt(marker.dataset.line, 10));
+        }
+    });
+}
+
 // ============================================================================
 // MEMORY VIEW
 // ============================================================================
@@ -428,7 +805,7 @@ function updateMemoryView() {
         const hasProgramLoaded = Object.keys(SimState.currentUsageMap).length > 0;
         if (hasProgramLoaded && SimState.cpu.S) {
             // Include PC location for highlighting current instruction
-            const pcAddr = SimState.cpu.PC;
+            const pcAddr = Utils.decToHex(SimState.cpu.PC, 3);
             if (!items.find(x => x.address === pcAddr)) {
                 items.push({ address: pcAddr, content: SimState.memory.read(pcAddr) });
             }
@@ -462,23 +839,29 @@ function updateMemoryView() {
     };
 
     let scrollTarget = null;
+    const maxHits = memState.heatmap ? SimState.profiler.maxHits() : 0;
 
     items.forEach(item => {
         const tr = document.createElement('tr');
-        const isAR = (item.address === SimState.cpu.AR);
+        const isAR = (parseInt(item.address, 16) === SimState.cpu.AR);
         const isMatch = (memState.filterAddr && item.address === memState.filterAddr);
 
+        const hasBreakpoint = SimState.cpu.breakpoints.has(parseInt(item.address, 16));
+
         if (isAR) tr.classList.add('highlight');
+        if (hasBreakpoint) tr.classList.add('breakpoint');
         if (isMatch) {
             tr.classList.add('match-highlight');
             scrollTarget = tr;
         }
+        if (maxHits > 0) applyHeat(tr, parseInt(item.address, 16), maxHits);
 
         const label = addrToLabel[item.address] || '';
         const val = parseInt(item.content, 16);
-        const mnemonic = disassemble(val, item.address);
+        const mnemonic = Disassembler.describe(val, SimState.currentUsageMap[parseInt(item.address, 16)]);
 
         tr.innerHTML = `
+            <td class="bp-cell" title="Toggle breakpoint"><span class="bp-dot"></span></td>
             <td>${item.address}</td>
             <td style="font-family:'JetBrains Mono'; color:#2563eb;">${formatValue(item.content)}</td>
             <td style="color:#64748b; font-size:12px;">
@@ -487,6 +870,10 @@ function updateMemoryView() {
             </td>
         `;
 
+        tr.querySelector('.bp-cell').addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleBreakpoint(item.address);
+        });
         tr.addEventListener('click', () => openTraceModal(item.address));
         fragment.appendChild(tr);
     });
@@ -501,6 +888,173 @@ function updateMemoryView() {
     }
 }
 
+/**
+ * Tints a memory row by how often its address was accessed (log scale)
+ */
+function applyHeat(tr, addr, maxHits) {
+    const p = SimState.profiler;
+    const hits = p.hits(addr);
+    if (hits === 0) return;
+
+    const heat = Math.log(1 + hits) / Math.log(1 + maxHits);
+    tr.classList.add('heat');
+    tr.style.setProperty('--heat', (0.1 + 0.6 * heat).toFixed(2));
+    tr.title = `Fetched ${p.fetches[addr]}, read ${p.reads[addr]}, written ${p.writes[addr]}`;
+}
+
+// ============================================================================
+// PROFILER
+// ============================================================================
+
+function openProfileModal() {
+    if (!elements.profileModal) return;
+    elements.profileModal.classList.add('active');
+    renderProfile();
+}
+
+window.closeProfileModal = function() {
+    if (elements.profileModal) {
+        elements.profileModal.classList.remove('active');
+    }
+};
+
+function sortRows(rows, key, dir) {
+    return rows.sort((a, b) => {
+        if (a[key] < b[key]) return -dir;
+        if (a[key] > b[key]) return dir;
+        return 0;
+    });
+}
+
+function renderProfile() {
+    const p = SimState.profiler;
+    const instrRows = p.instructionReport();
+    const executed = instrRows.reduce((sum, row) => sum + row.count, 0);
+
+    elements.profileSummary.textContent =
+        `${p.totalCycles} cycles · ${executed} instructions · ` +
+        `${p.interrupts} interrupts (${p.interruptCycles} cycles)`;
+
+    const addrToLabel = {};
+    for (const [lbl, addr] of Object.entries(SimState.currentLabels)) {
+        addrToLabel[Utils.decToHex(addr, 3)] = lbl;
+    }
+
+    const addrRows = p.addressReport();
+    addrRows.forEach(row => { row.label = addrToLabel[row.address] || ''; });
+    sortRows(addrRows, profState.addrSort, profState.addrDir);
+
+    elements.profileAddrBody.innerHTML = addrRows.length === 0
+        ? '<tr><td colspan="6" style="text-align:center;">Nothing executed yet.</td></tr>'
+        : addrRows.map(row => `
+            <tr>
+                <td>${row.address}</td>
+                <td>${row.label}</td>
+                <td>${row.fetches}</td>
+                <td>${row.reads}</td>
+                <td>${row.writes}</td>
+                <td>${row.total}</td>
+            </tr>`).join('');
+
+    sortRows(instrRows, profState.instrSort, profState.instrDir);
+    elements.profileInstrBody.innerHTML = instrRows.length === 0
+        ? '<tr><td colspan="5" style="text-align:center;">Nothing executed yet.</td></tr>'
+        : instrRows.map(row => `
+            <tr>
+                <td>${row.name}</td>
+                <td>${row.count}</td>
+                <td>${row.cycles}</td>
+                <td>${row.average.toFixed(1)}</td>
+                <td>${(row.share * 100).toFixed(1)}%</td>
+            </tr>`).join('');
+
+    document.querySelectorAll('#profile-modal th[data-sort]').forEach(th => {
+        const isAddr = th.dataset.table === 'addr';
+        const active = th.dataset.sort === (isAddr ? profState.addrSort : profState.instrSort);
+        const dir = isAddr ? profState.addrDir : profState.instrDir;
+        th.classList.toggle('sorted', active);
+        th.dataset.dir = active ? (dir < 0 ? 'desc' : 'asc') : '';
+    });
+}
+
+function sortProfile(table, key) {
+    const sortKey = table === 'addr' ? 'addrSort' : 'instrSort';
+    const dirKey = table === 'addr' ? 'addrDir' : 'instrDir';
+    if (profState[sortKey] === key) {
+        profState[dirKey] = -profState[dirKey];
+    } else {
+        profState[sortKey] = key;
+        // Text columns read best ascending, counts descending
+        profState[dirKey] = (key === 'address' || key === 'label' || key === 'name') ? 1 : -1;
+    }
+    renderProfile();
+}
+
+// ============================================================================
+// BREAKPOINTS & WATCHPOINTS
+// ============================================================================
+
+function toggleBreakpoint(addr) {
+    const isSet = SimState.cpu.toggleBreakpoint(addr);
+    log(`Breakpoint ${isSet ? 'set at' : 'removed from'} ${addr}.`, 'info');
+    updateDebugList();
+    updateMemoryView();
+}
+
+function addWatchpoint() {
+    let val = elements.watchAddr.value.trim().toUpperCase();
+    if (!/^[0-9A-F]{1,3}$/.test(val)) {
+        log(`Invalid watchpoint address '${val}'.`, 'error');
+        return;
+    }
+    const addr = val.padStart(3, '0');
+    const mode = elements.watchMode.value;
+    SimState.cpu.setWatchpoint(addr, mode);
+    elements.watchAddr.value = '';
+    log(`Watchpoint (${mode}) set at ${addr}.`, 'info');
+    updateDebugList();
+}
+
+function updateDebugList() {
+    if (!elements.debugList) return;
+    elements.debugList.innerHTML = '';
+
+    const entries = [];
+    [...SimState.cpu.breakpoints].sort((a, b) => a - b).forEach(addr => {
+        entries.push({ addr, text: `Break @ ${Utils.decToHex(addr, 3)}`, remove: () => SimState.cpu.toggleBreakpoint(addr) });
+    });
+    [...SimState.cpu.watchpoints.entries()].sort((a, b) => a[0] - b[0]).forEach(([addr, mode]) => {
+        entries.push({ addr, text: `Watch ${mode} @ ${Utils.decToHex(addr, 3)}`, remove: () => SimState.cpu.removeWatchpoint(addr) });
+    });
+
+    if (entries.length === 0) {
+        elements.debugList.innerHTML = '<div class="debug-empty">No breakpoints. Click the dot beside a memory row.</div>';
+        return;
+    }
+
+    entries.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'debug-item';
+        row.innerHTML = `<span>${entry.text}</span><button class="io-clear-btn" title="Remove">&times;</button>`;
+        row.querySelector('button').addEventListener('click', () => {
+            entry.remove();
+            updateDebugList();
+            updateMemoryView();
+        });
+        elements.debugList.appendChild(row);
+    });
+}
+
+function reportBreak(res) {
+    if (res.breakpoint) {
+        log(`Breakpoint hit at ${Utils.decToHex(res.pc, 3)}.`, 'warning');
+    } else if (res.watch) {
+        const w = res.watch;
+        const detail = w.mode === 'read' ? `value ${w.value}` : `${w.oldValue} → ${w.value}`;
+        log(`Watchpoint (${w.mode}) hit at ${w.address}: ${detail}.`, 'warning');
+    }
+}
+
 // ============================================================================
 // TRACE MODAL
 // ============================================================================
@@ -552,21 +1106,103 @@ function stopRun() {
         clearInterval(SimState.runInterval);
         SimState.runInterval = null;
     }
+    if (SimState.runFrame) {
+        cancelAnimationFrame(SimState.runFrame);
+        SimState.runFrame = null;
+    }
     
     if (elements.btnRun) {
         elements.btnRun.classList.remove('hidden');
         elements.btnStop.classList.add('hidden');
         elements.btnStep.disabled = false;
         elements.btnStepInst.disabled = false;
+        elements.btnBack.disabled = false;
+        elements.btnBackInst.disabled = false;
     }
     
     updateMemoryView();
 }
 
+function executeStep() {
+    // Only the character this step takes from the input queue is kept, not
+    // a copy of the queue (which may hold a whole text file)
+    const io = {
+        inputTaken: null,
+        outputBuffer: SimState.outputBuffer,
+        outputBase: SimState.outputBase,
+        traceLength: SimState.traceHistory.length,
+        currentInstrAddr: SimState.currentInstrAddr
+    };
+    SimState.history.begin(io);
+
+    if (feedInput()) {
+        io.inputTaken = SimState.cpu.INPR;
+        updateIODisplay();
+    }
+    const res = SimState.cpu.step();
+
+    // Breakpoint stops leave the machine unchanged. Input waits are clock
+    // cycles (devices keep running), so they are recorded like any other step
+    if (res.breakpoint) {
+        SimState.history.discard();
+    } else {
+        SimState.history.commit();
+    }
+    return res;
+}
+
+function restorePreviousStep() {
+    const entry = SimState.history.stepBack();
+    if (!entry) return false;
+
+    const io = entry.extra;
+    if (io.inputTaken !== null) SimState.inputQueue.unshift(io.inputTaken);
+    SimState.outputBuffer = io.outputBuffer;
+    SimState.outputBase = io.outputBase;
+    // The restored stream may be longer than the one shown (e.g. from before
+    // a console clear), so the terminal starts over instead of appending
+    SimState.terminal.reset();
+    SimState.traceHistory.length = io.traceLength;
+    SimState.currentInstrAddr = io.currentInstrAddr;
+    return true;
+}
+
+function refreshAfterStepBack() {
+    updateUI({ msg: `Stepped back (PC=${Utils.decToHex(SimState.cpu.PC, 3)}, T${SimState.cpu.SC})` });
+    updateMemoryView();
+    updateIODisplay();
+}
+
+function reportNoHistory() {
+    log(SimState.historyDropped
+        ? `No earlier state to step back to: history is not recorded while running above ${INTERVAL_MAX_HZ} Hz.`
+        : 'No earlier state to step back to.', 'warning');
+}
+
+function doStepBack() {
+    if (!restorePreviousStep()) {
+        reportNoHistory();
+        return;
+    }
+    refreshAfterStepBack();
+}
+
+function doStepBackInstruction() {
+    if (!restorePreviousStep()) {
+        reportNoHistory();
+        return;
+    }
+    // Keep undoing until we are back at T0 of an instruction
+    while (SimState.cpu.SC !== 0 && restorePreviousStep()) {
+        // continue
+    }
+    refreshAfterStepBack();
+}
+
 function doStep() {
     if (!SimState.cpu.S) return;
     
-    const res = SimState.cpu.step();
+    const res = executeStep();
     
     if (res.state === 'WaitInput') {
         handleInputRequired();
@@ -574,11 +1210,13 @@ function doStep() {
         return res;
     }
     
-    recordTrace(res);
+    if (!res.breakpoint) recordTrace(res);
     updateUI(res);
     updateMemoryView();
     
-    if (res.state === 'Halt' || !SimState.cpu.S) {
+    if (res.state === 'Break') {
+        reportBreak(res);
+    } else if (res.state === 'Halt' || !SimState.cpu.S) {
         stopRun();
         log('Halted.', 'warning');
     }
@@ -589,7 +1227,7 @@ function doStep() {
 function doStepInstruction() {
     if (!SimState.cpu.S) return;
     
-    let res = SimState.cpu.step();
+    let res = executeStep();
     
     if (res.state === 'WaitInput') {
         handleInputRequired();
@@ -597,11 +1235,17 @@ function doStepInstruction() {
         return;
     }
     
+    if (res.breakpoint) {
+        updateUI(res);
+        reportBreak(res);
+        return;
+    }
+    
     recordTrace(res);
     
     let safety = 0;
-    while (SimState.cpu.SC !== 0 && SimState.cpu.S && safety++ < 50) {
-        res = SimState.cpu.step();
+    while (res.state !== 'Break' && SimState.cpu.SC !== 0 && SimState.cpu.S && safety++ < 50) {
+        res = executeStep();
         
         if (res.state === 'WaitInput') {
             handleInputRequired();
@@ -614,12 +1258,18 @@ function doStepInstruction() {
     updateUI(res);
     updateMemoryView();
     
-    if (res.state === 'Halt' || !SimState.cpu.S) {
+    if (res.state === 'Break') {
+        reportBreak(res);
+    } else if (res.state === 'Halt' || !SimState.cpu.S) {
         stopRun();
         log('Halted.', 'warning');
     }
 }
 
+function isRunning() {
+    return SimState.runInterval !== null || SimState.runFrame !== null;
+}
+
 function startRun() {
     if (!SimState.cpu.S) return;
     
@@ -627,49 +1277,237 @@ function startRun() {
     elements.btnStop.classList.remove('hidden');
     elements.btnStep.disabled = true;
     elements.btnStepInst.disabled = true;
+    elements.btnBack.disabled = true;
+    elements.btnBackInst.disabled = true;
+
+    const now = performance.now();
+    SimState.runStats = {
+        cycles: 0,
+        instructions: 0,
+        windowStart: now,
+        windowCycles: 0,
+        windowInstructions: 0,
+        lastFrame: now,
+        carry: 0
+    };
     
-    SimState.runInterval = setInterval(() => {
-        const res = SimState.cpu.step();
-        
-        if (res.state === 'WaitInput') {
-            stopRun();
-            handleInputRequired();
-            updateUI(res);
-            return;
+    if (SimState.clockHz <= INTERVAL_MAX_HZ) {
+        SimState.runInterval = setInterval(runTick, 1000 / SimState.clockHz);
+    } else {
+        // Batched steps bypass the history journal, so older entries would be stale
+        const dropped = SimState.history.length;
+        SimState.history.clear();
+        if (dropped > 0 || !SimState.historyDropped) {
+            log(`Running at ${formatClock(SimState.clockHz)}: step-back history and trace are not recorded above ` +
+                `${INTERVAL_MAX_HZ} Hz` + (dropped > 0 ? ` (${dropped} recorded step(s) discarded).` : '.'), 'warning');
         }
-        
-        recordTrace(res);
+        SimState.historyDropped = true;
+        SimState.runFrame = requestAnimationFrame(runFrame);
+    }
+}
+
+/**
+ * Throttled mode: one recorded micro-op per timer tick
+ */
+function runTick() {
+    const res = executeStep();
+    
+    if (res.state === 'WaitInput' && !inputWaitCanEnd()) {
+        stopRun();
+        handleInputRequired();
         updateUI(res);
-        
-        if (!SimState.cpu.S) {
-            stopRun();
-            log('Halted.', 'warning');
-            updateMemoryView();
-        }
-    }, SimState.runSpeed);
+        return;
+    }
+    
+    countCycle(res);
+    if (!res.breakpoint) recordTrace(res);
+    updateUI(res);
+    updateRunRate(performance.now());
+    
+    if (res.state === 'Break') {
+        stopRun();
+        reportBreak(res);
+        return;
+    }
+    
+    if (!SimState.cpu.S) {
+        stopRun();
+        log('Halted.', 'warning');
+        updateMemoryView();
+    }
+}
+
+/**
+ * Batched mode: executes as many micro-ops as the clock rate allows for
+ * the time since the last frame, then repaints once
+ * @param {number} now - Frame timestamp from requestAnimationFrame
+ */
+function runFrame(now) {
+    const stats = SimState.runStats;
+    // Cap the catch-up after the tab was hidden or the frame was slow
+    const elapsed = Math.min(now - stats.lastFrame, 100);
+    stats.lastFrame = now;
+
+    let steps = Infinity;
+    if (SimState.clockHz !== Infinity) {
+        stats.carry += SimState.clockHz * elapsed / 1000;
+        steps = Math.floor(stats.carry);
+        stats.carry -= steps;
+    }
+
+    const res = runBatch(steps, now + FRAME_BUDGET_MS);
+    if (!res) {
+        SimState.runFrame = requestAnimationFrame(runFrame);
+        return;
+    }
+
+    updateUI(res);
+    updateIODisplay();
+    updateRunRate(performance.now());
+
+    if (res.state === 'WaitInput' && !inputWaitCanEnd()) {
+        stopRun();
+        handleInputRequired();
+    } else if (res.state === 'Break') {
+        stopRun();
+        reportBreak(res);
+    } else if (!SimState.cpu.S) {
+        stopRun();
+        log('Halted.', 'warning');
+    } else {
+        updateMemoryView();
+        SimState.runFrame = requestAnimationFrame(runFrame);
+    }
+}
+
+/**
+ * Runs micro-ops without recording history or trace
+ * @param {number} maxSteps - Maximum micro-ops to execute
+ * @param {number} deadline - performance.now() value to stop at
+ * @returns {?Object} Result of the last micro-op, or null if none ran
+ */
+function runBatch(maxSteps, deadline) {
+    const cpu = SimState.cpu;
+    let res = null;
+    let instrAddr = -1;
+    for (let i = 0; i < maxSteps; i++) {
+        if (cpu.SC === 0 && !cpu.R) instrAddr = cpu.PC;
+        if (SimState.inputQueue.length > 0) feedInput();
+        res = cpu.step();
+        if (res.state === 'WaitInput' && !inputWaitCanEnd()) break;
+        countCycle(res);
+        if (res.state !== 'Run' && res.state !== 'WaitInput') break;
+        // Checking the clock is comparatively slow, so only do it periodically
+        if ((i & 1023) === 1023 && performance.now() >= deadline) break;
+    }
+    // Trace recording is skipped here, so track the executing instruction directly
+    if (instrAddr >= 0) SimState.currentInstrAddr = Utils.decToHex(instrAddr, 3);
+    return res;
+}
+
+/**
+ * Whether a run should keep clocking while INP waits: with interrupts
+ * enabled a device (e.g. the timer) can end the wait, and queued or typed
+ * console input is fed as the run goes on
+ * @returns {boolean} True if IEN is set
+ */
+function inputWaitCanEnd() {
+    return SimState.cpu.IEN;
+}
+
+function countCycle(res) {
+    if (res.breakpoint) return;
+    const stats = SimState.runStats;
+    stats.cycles++;
+    // SC returns to 0 when an instruction (not the interrupt cycle) completes;
+    // an INP abandoned for an interrupt (no sc in the result) did not complete
+    if (SimState.cpu.SC === 0 && !res.interrupt && res.sc !== undefined) stats.instructions++;
+}
+
+function updateRunRate(now) {
+    const stats = SimState.runStats;
+    const dt = now - stats.windowStart;
+    if (dt < 1000 || !elements.runRate) return;
+
+    const hz = (stats.cycles - stats.windowCycles) * 1000 / dt;
+    const ips = (stats.instructions - stats.windowInstructions) * 1000 / dt;
+    elements.runRate.textContent = `${formatClock(hz)} · ${formatCount(ips)} instr/s`;
+
+    stats.windowStart = now;
+    stats.windowCycles = stats.cycles;
+    stats.windowInstructions = stats.instructions;
+}
+
+function formatClock(hz) {
+    if (hz === Infinity) return 'Max';
+    if (hz >= 1e6) return `${(hz / 1e6).toFixed(2)} MHz`;
+    if (hz >= 1e3) return `${(hz / 1e3).toFixed(1)} kHz`;
+    return `${Math.round(hz)} Hz`;
+}
+
+function formatCount(n) {
+    if (n >= 1e6) return `${(n / 1e6).toFixed(2)}M`;
+    if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+    return `${Math.round(n)}`;
+}
+
+function setClockSpeed(index) {
+    SimState.clockHz = CLOCK_SPEEDS[index];
+    if (elements.runSpeedLabel) {
+        elements.runSpeedLabel.textContent = formatClock(SimState.clockHz);
+    }
+    // Restart so the new rate (and mode) takes effect immediately
+    if (isRunning()) {
+        stopRun();
+        startRun();
+    }
 }
 
 function doAssemble() {
-    const code = elements.editor.value;
+    storeEditorFile();
+    const main = fileState.files[0];
+    const code = main.code;
     
     try {
-        const res = Assembler.assemble(code);
+        const res = Assembler.assemble(code, { fileName: main.name, readFile: readEditorFile });
         
         if (res.success) {
             log(`Assembled successfully. ${Object.keys(res.machineCode).length} words generated.`, 'success');
+            if (res.segments.length > 0) {
+                log(`Memory map: ${res.segments.map(seg =>
+                    `${Utils.decToHex(seg.start, 3)}-${Utils.decToHex(seg.end, 3)} (${seg.words} words, line ${seg.line})`).join(', ')}`, 'info');
+            }
+            // Device registers only replace memory for programs that address them
+            SimState.cpu.bus.ioPage = Analyzer.usesIOPage(res);
+            if (SimState.cpu.bus.ioPage) {
+                log('The program addresses FF0-FFF, so the I/O page (device registers) is enabled.', 'info');
+            }
+            reportAnalysis(res);
             
             SimState.currentLabels = res.labels || {};
             SimState.currentUsageMap = res.usageMap || {};
+            SimState.listing = Assembler.formatListing(code, res, main.name);
+            SimState.sourceMap = res.sourceMap || {};
+            SimState.sourceFiles = res.sourceFiles || {};
+            SimState.sourceFile = main.name;
+            elements.btnListing.disabled = false;
+            elements.btnPrintListing.disabled = false;
             
             SimState.memory.reset();
+            if (SimState.video) SimState.video.invalidate();
             SimState.cpu.reset();
             SimState.memory.loadProgram(res.machineCode);
-            SimState.cpu.setPC(Utils.decToHex(res.startAddress, 3));
+            SimState.cpu.setPC(res.startAddress);
+            SimState.startAddress = res.startAddress;
             SimState.currentInstrAddr = Utils.decToHex(res.startAddress, 3);
             
             SimState.traceHistory = [];
+            SimState.history.clear();
+            SimState.historyDropped = false;
+            SimState.profiler.reset();
             SimState.inputQueue = [];
             SimState.outputBuffer = '';
+            SimState.outputBase = 0;
             
             updateUI();
             updateMemoryView();
@@ -678,6 +1516,8 @@ function doAssemble() {
             elements.btnReset.disabled = false;
             elements.btnStep.disabled = false;
             elements.btnStepInst.disabled = false;
+            elements.btnBack.disabled = false;
+            elements.btnBackInst.disabled = false;
             elements.btnRun.disabled = false;
             
             document.querySelector('[data-target="tab-sim"]').click();
@@ -694,11 +1534,19 @@ function doReset() {
     stopRun();
     SimState.cpu.reset();
     SimState.memory.reset();
+    if (SimState.video) SimState.video.invalidate();
     SimState.currentLabels = {};
     SimState.currentUsageMap = {};
+    SimState.startAddress = null;
+    SimState.sourceMap = {};
+    SimState.sourceFiles = {};
     SimState.traceHistory = [];
+    SimState.history.clear();
+    SimState.historyDropped = false;
+    SimState.profiler.reset();
     SimState.inputQueue = [];
     SimState.outputBuffer = '';
+    SimState.outputBase = 0;
     
     updateUI();
     updateMemoryView();
@@ -711,11 +1559,262 @@ function doReset() {
     
     elements.btnStep.disabled = true;
     elements.btnStepInst.disabled = true;
+    elements.btnBack.disabled = true;
+    elements.btnBackInst.disabled = true;
     elements.btnRun.disabled = true;
     
     log('System reset.', 'info');
 }
 
+// ============================================================================
+// VIDEO DISPLAY
+// ============================================================================
+
+/**
+ * Attaches, reconfigures or detaches the video display from the settings
+ * in the Video Display card
+ */
+function configureVideoDisplay() {
+    const bus = SimState.cpu.bus;
+
+    if (!elements.videoEnable.checked) {
+        if (SimState.video) {
+            bus.detach(SimState.video);
+            SimState.memory.onWrite = null;
+            SimState.video = null;
+            elements.videoCard.classList.add('hidden');
+            updateDevicePanel();
+        }
+        return;
+    }
+
+    try {
+        const baseText = elements.videoBase.value.trim();
+        if (!/^[0-9A-Fa-f]{1,3}$/.test(baseText)) {
+            throw new Error(`Invalid display address '${baseText}' (000-FFF)`);
+        }
+        const base = parseInt(baseText, 16);
+        const columns = parseInt(elements.videoColumns.value, 10);
+        const rows = parseInt(elements.videoRows.value, 10);
+
+        if (SimState.video) {
+            SimState.video.configure(base, columns, rows);
+        } else {
+            SimState.video = bus.attach(new VideoDisplay(SimState.memory, { base, columns, rows }));
+            SimState.memory.onWrite = (address) => SimState.video.written(address);
+        }
+        elements.videoCard.classList.remove('hidden');
+        log(`Video display at ${SimState.video.describe()}.`, 'info');
+    } catch (e) {
+        log(e.message, 'error');
+        if (!SimState.video) elements.videoEnable.checked = false;
+    }
+
+    syncVideoSettings();
+    updateDevicePanel();
+    drawVideoDisplay();
+}
+
+/**
+ * Shows the active region in the settings (after an invalid change)
+ */
+function syncVideoSettings() {
+    const video = SimState.video;
+    if (!video) return;
+    elements.videoBase.value = Utils.decToHex(video.base, 3);
+    elements.videoColumns.value = video.columns;
+    elements.videoRows.value = video.rows;
+}
+
+/**
+ * Redraws the video display canvas if its memory changed since the last draw
+ */
+function drawVideoDisplay() {
+    const video = SimState.video;
+    if (!video || !video.dirty || !elements.videoCanvas) return;
+    video.dirty = false;
+
+    const canvas = elements.videoCanvas;
+    const width = video.columns * VIDEO_CELL_WIDTH;
+    const height = video.rows * VIDEO_CELL_HEIGHT;
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.font = "15px 'JetBrains Mono', monospace";
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i < video.size; i++) {
+        const { char, fg, bg } = video.cell(i);
+        const x = (i % video.columns) * VIDEO_CELL_WIDTH;
+        const y = Math.floor(i / video.columns) * VIDEO_CELL_HEIGHT;
+        ctx.fillStyle = bg;
+        ctx.fillRect(x, y, VIDEO_CELL_WIDTH, VIDEO_CELL_HEIGHT);
+        // Control codes (0 included) and 80-A0 are blank cells
+        if (char > 0x20 && char !== 0x7F && (char < 0x80 || char > 0xA0)) {
+            ctx.fillStyle = fg;
+            ctx.fillText(String.fromCharCode(char), x + VIDEO_CELL_WIDTH / 2, y + VIDEO_CELL_HEIGHT / 2 + 1);
+        }
+    }
+}
+
+// ============================================================================
+// STATIC ANALYSIS
+// ============================================================================
+
+function reportAnalysis(res) {
+    const findings = Analyzer.analyze(res, SimState.cpu.bus);
+    // The log shows newest first, so add the findings last-to-first
+    findings.slice().reverse().forEach(f => {
+        log(`${f.severity === 'warning' ? 'Warning' : 'Note'}: ${Analyzer.format(f)}`, f.severity);
+    });
+}
+
+// ============================================================================
+// DISASSEMBLY
+// ============================================================================
+
+/**
+ * Turns the current memory image into source in the editor file
+ * 'disassembly.asm' (labels, code/data split and start address come from
+ * the last assembly when there was one, otherwise from reachability from PC)
+ */
+function disassembleMemory() {
+    const image = {};
+    SimState.memory.getNonZeroMemory().forEach(({ address, content }) => {
+        image[address] = content;
+    });
+    if (Object.keys(image).length === 0) {
+        log('Memory is empty; nothing to disassemble.', 'warning');
+        return;
+    }
+
+    const res = Disassembler.disassemble(image, {
+        usageMap: SimState.currentUsageMap,
+        labels: SimState.currentLabels,
+        // Keep the program's start address; PC may be anywhere after a run
+        entries: SimState.startAddress !== null ? [SimState.startAddress, SimState.cpu.PC] : [SimState.cpu.PC]
+    });
+
+    const name = 'disassembly.asm';
+    storeEditorFile();
+    let index = fileState.files.findIndex(f => f.name === name);
+    if (index < 0) {
+        fileState.files.push({ name, code: '' });
+        index = fileState.files.length - 1;
+    }
+    fileState.files[index].code = res.source;
+    if (index === fileState.active) elements.editor.value = res.source;
+    saveEditorFiles();
+    switchEditorFile(index);
+
+    const words = Object.keys(res.usageMap).length;
+    log(`Disassembled ${words} words into '${name}' (${Object.keys(res.labels).length} labels).`, 'success');
+    document.querySelector('[data-target="tab-editor"]').click();
+}
+
+// ============================================================================
+// LISTING
+// ============================================================================
+
+function downloadListing() {
+    if (!SimState.listing) return;
+    const blob = new Blob([SimState.listing], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileState.files[0].name.replace(/\.[^.]*$/, '')}.lst`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function printListing() {
+    if (!SimState.listing) return;
+    const win = window.open('', '_blank');
+    if (!win) {
+        log('Could not open the print window (blocked by the browser?).', 'error');
+        return;
+    }
+    const pre = win.document.createElement('pre');
+    pre.style.font = "11px 'JetBrains Mono', monospace";
+    pre.textContent = SimState.listing;
+    win.document.title = 'SARBA Listing';
+    win.document.body.appendChild(pre);
+    win.print();
+}
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+function exportSnapshot() {
+    const snapshot = Snapshot.create({
+        cpu: SimState.cpu,
+        memory: SimState.memory,
+        labels: SimState.currentLabels,
+        usageMap: SimState.currentUsageMap,
+        inputQueue: SimState.inputQueue,
+        outputBuffer: SimState.outputBuffer
+    });
+
+    const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sarba-snapshot-${Utils.decToHex(SimState.cpu.PC, 3)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    log(`Snapshot saved (PC=${Utils.decToHex(SimState.cpu.PC, 3)}, T${SimState.cpu.SC}).`, 'success');
+}
+
+function importSnapshot(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const snapshot = Snapshot.parse(reader.result);
+
+            stopRun();
+            const sim = Snapshot.restore(snapshot, SimState.cpu, SimState.memory);
+            if (SimState.video) SimState.video.invalidate();
+            SimState.currentLabels = sim.labels;
+            SimState.currentUsageMap = sim.usageMap;
+            SimState.startAddress = null;
+            SimState.sourceMap = {}; // The editor may hold a different program
+            SimState.sourceFiles = {};
+            SimState.inputQueue = sim.inputQueue;
+            SimState.outputBuffer = sim.outputBuffer;
+            SimState.outputBase = 0;
+            SimState.terminal.reset(); // Different text, maybe no shorter
+            SimState.currentInstrAddr = Utils.decToHex(SimState.cpu.PC, 3);
+            SimState.traceHistory = [];
+            SimState.history.clear();
+            SimState.historyDropped = false;
+            SimState.profiler.reset();
+
+            updateUI({ msg: `Snapshot loaded (T${SimState.cpu.SC})` });
+            updateMemoryView();
+            updateIODisplay();
+
+            elements.btnReset.disabled = false;
+            elements.btnStep.disabled = false;
+            elements.btnStepInst.disabled = false;
+            elements.btnBack.disabled = false;
+            elements.btnBackInst.disabled = false;
+            elements.btnRun.disabled = false;
+
+            log(`Snapshot '${file.name}' loaded (PC=${Utils.decToHex(SimState.cpu.PC, 3)}, T${SimState.cpu.SC}).`, 'success');
+            document.querySelector('[data-target="tab-sim"]').click();
+        } catch (e) {
+            log(`Snapshot load failed: ${e.message}`, 'error');
+        }
+    };
+    reader.onerror = () => log(`Could not read '${file.name}'.`, 'error');
+    reader.readAsText(file);
+}
+
 // ============================================================================
 // EVENT LISTENERS
 // ============================================================================
@@ -731,6 +1830,8 @@ window.addEventListener('DOMContentLoaded', () => {
             document.querySelectorAll('.tab-pane').forEach(p => p.classList.remove('active'));
             btn.classList.add('active');
             document.getElementById(btn.getAttribute('data-target')).classList.add('active');
+            // Markers are measured against the editor, which has no layout while hidden
+            if (btn.getAttribute('data-target') === 'tab-editor') updateSourceHighlight();
         });
     });
 
@@ -752,6 +1853,28 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Memory heatmap toggle
+    if (elements.memHeatmap) {
+        elements.memHeatmap.addEventListener('change', (e) => {
+            memState.heatmap = e.target.checked;
+            updateMemoryView();
+        });
+    }
+
+    // Profile report
+    if (elements.btnProfile) {
+        elements.btnProfile.addEventListener('click', openProfileModal);
+    }
+
+    // Disassemble memory into an editor file
+    if (elements.btnDisassemble) {
+        elements.btnDisassemble.addEventListener('click', disassembleMemory);
+    }
+
+    document.querySelectorAll('#profile-modal th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => sortProfile(th.dataset.table, th.dataset.sort));
+    });
+
     // Memory go to address
     if (elements.memGoto) {
         elements.memGoto.addEventListener('input', (e) => {
@@ -766,6 +1889,65 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Watchpoint add
+    if (elements.watchAdd) {
+        elements.watchAdd.addEventListener('click', addWatchpoint);
+    }
+
+    if (elements.watchAddr) {
+        elements.watchAddr.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                addWatchpoint();
+            }
+        });
+    }
+
+    // Editor files
+    loadEditorFiles();
+    if (elements.editor) {
+        elements.editor.value = fileState.files[fileState.active].code;
+    }
+    renderFileTabs();
+    if (elements.fileNew) {
+        elements.fileNew.addEventListener('click', addEditorFile);
+    }
+
+    // Source highlighting: follow editor scrolling, drop the map once the code changes
+    if (elements.editor) {
+        elements.editor.addEventListener('scroll', repositionLineMarkers);
+        elements.editor.addEventListener('input', () => {
+            storeEditorFile();
+            saveEditorFiles();
+            if (Object.keys(SimState.sourceMap).length === 0) return;
+            SimState.sourceMap = {};
+            updateSourceHighlight();
+        });
+    }
+
+    // Listing download / print
+    if (elements.btnListing) {
+        elements.btnListing.addEventListener('click', downloadListing);
+    }
+
+    if (elements.btnPrintListing) {
+        elements.btnPrintListing.addEventListener('click', printListing);
+    }
+
+    // Snapshot save / load
+    if (elements.snapshotSave) {
+        elements.snapshotSave.addEventListener('click', exportSnapshot);
+    }
+
+    if (elements.snapshotLoad && elements.snapshotFile) {
+        elements.snapshotLoad.addEventListener('click', () => elements.snapshotFile.click());
+        elements.snapshotFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                importSnapshot(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+    }
+
     // Assemble button
     if (elements.btnAssemble) {
         elements.btnAssemble.addEventListener('click', doAssemble);
@@ -781,6 +1963,15 @@ window.addEventListener('DOMContentLoaded', () => {
         elements.btnStepInst.addEventListener('click', doStepInstruction);
     }
 
+    // Step back buttons
+    if (elements.btnBack) {
+        elements.btnBack.addEventListener('click', doStepBack);
+    }
+
+    if (elements.btnBackInst) {
+        elements.btnBackInst.addEventListener('click', doStepBackInstruction);
+    }
+
     // Run button
     if (elements.btnRun) {
         elements.btnRun.addEventListener('click', startRun);
@@ -791,6 +1982,15 @@ window.addEventListener('DOMContentLoaded', () => {
         elements.btnStop.addEventListener('click', stopRun);
     }
 
+    // Clock speed slider
+    if (elements.runSpeed) {
+        elements.runSpeed.max = CLOCK_SPEEDS.length - 1;
+        elements.runSpeed.value = CLOCK_SPEEDS.indexOf(SimState.clockHz);
+        elements.runSpeed.addEventListener('input', (e) => {
+            setClockSpeed(parseInt(e.target.value, 10));
+        });
+    }
+
     // Reset button
     if (elements.btnReset) {
         elements.btnReset.addEventListener('click', doReset);
@@ -808,25 +2008,33 @@ window.addEventListener('DOMContentLoaded', () => {
 
     // I/O Input handling
     if (elements.ioInput) {
-        elements.ioInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                queueInput(elements.ioInput.value);
-                elements.ioInput.value = '';
+        elements.ioInput.addEventListener('keydown', (e) => {
+            // Shift+Enter adds a line to the text instead
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                sendConsoleInput();
             }
         });
     }
 
     if (elements.ioInputSend) {
-        elements.ioInputSend.addEventListener('click', () => {
-            queueInput(elements.ioInput.value);
-            elements.ioInput.value = '';
+        elements.ioInputSend.addEventListener('click', sendConsoleInput);
+    }
+
+    if (elements.ioInputLoad && elements.ioInputFile) {
+        elements.ioInputLoad.addEventListener('click', () => elements.ioInputFile.click());
+        elements.ioInputFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                loadInputFile(e.target.files[0]);
+            }
+            e.target.value = '';
         });
     }
 
     if (elements.ioInputClear) {
         elements.ioInputClear.addEventListener('click', () => {
             SimState.inputQueue = [];
-            SimState.cpu.FGI = false;
+            SimState.cpu.bus.keyboard.FGI = false;
             updateIODisplay();
             updateUI();
         });
@@ -835,6 +2043,7 @@ window.addEventListener('DOMContentLoaded', () => {
     if (elements.ioOutputClear) {
         elements.ioOutputClear.addEventListener('click', () => {
             SimState.outputBuffer = '';
+            SimState.outputBase = 0;
             updateIODisplay();
             
             // Remove glow
@@ -844,6 +2053,37 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    if (elements.ioOutputHexToggle && elements.ioOutputHex) {
+        elements.ioOutputHexToggle.addEventListener('change', () => {
+            elements.ioOutputHex.classList.toggle('hidden', !elements.ioOutputHexToggle.checked);
+            updateIODisplay();
+        });
+    }
+
+    if (elements.ioPageEnable) {
+        elements.ioPageEnable.addEventListener('change', () => {
+            SimState.cpu.bus.ioPage = elements.ioPageEnable.checked;
+            log(`I/O page ${SimState.cpu.bus.ioPage ? 'enabled: FF0-FFF are device registers' : 'disabled: FF0-FFF is memory'}.`, 'info');
+            updateDevicePanel();
+        });
+    }
+
+    // Video display settings
+    [elements.videoEnable, elements.videoBase, elements.videoColumns, elements.videoRows].forEach(input => {
+        if (input) input.addEventListener('change', configureVideoDisplay);
+    });
+
+    // Output device latency (clock cycles until FGO is set after OUT)
+    if (elements.ioLatency) {
+        elements.ioLatency.addEventListener('change', () => {
+            let cycles = parseInt(elements.ioLatency.value, 10);
+            if (isNaN(cycles) || cycles < 0) cycles = 0;
+            elements.ioLatency.value = cycles;
+            SimState.cpu.bus.teleprinter.latency = cycles;
+            log(`Output device latency set to ${cycles} cycle(s).`, 'info');
+        });
+    }
+
     // Input required modal
     if (elements.inputModalSubmit) {
         elements.inputModalSubmit.addEventListener('click', submitModalInput);
@@ -886,6 +2126,7 @@ window.addEventListener('DOMContentLoaded', () => {
     // Initial UI update
     updateUI();
     updateIODisplay();
+    updateDebugList();
     
     log('SARBA Simulator ready.', 'info');
 });
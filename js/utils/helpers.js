@@ -183,5 +183,47 @@ const Utils = {
             console.error('hexToSigned error:', e);
             return 0;
         }
+    },
+
+    /** Line end codes for each newline mode of encodeInput ('keep' leaves CR and LF as they are) */
+    NEWLINES: { lf: [0x0A], cr: [0x0D], crlf: [0x0D, 0x0A] },
+
+    /**
+     * Convert text to the character codes an INP stream delivers
+     * @param {string} text - Typed, pasted or loaded text
+     * @param {Object} [options]
+     * @param {string} [options.newline='lf'] - Line end sent for CR LF, CR or LF:
+     *        'lf', 'cr', 'crlf' or 'keep'
+     * @param {?number} [options.eof=null] - End-of-input marker appended after the text
+     * @returns {{codes: number[], replaced: number}} Codes, and how many characters
+     *          did not fit in 8 bits and were sent as '?'
+     * @example
+     * Utils.encodeInput('12\r\n', { newline: 'cr', eof: 0x04 }) // codes: [0x31, 0x32, 0x0D, 0x04]
+     */
+    encodeInput: (text, options = {}) => {
+        const newline = options.newline || 'lf';
+        const codes = [];
+        let replaced = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (newline !== 'keep' && (code === 0x0D || code === 0x0A)) {
+                if (code === 0x0D && text.charCodeAt(i + 1) === 0x0A) i++;
+                codes.push(...Utils.NEWLINES[newline]);
+            } else if (code > 0xFF) {
+                // A surrogate pair is one character
+                if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) i++;
+                codes.push(0x3F);
+                replaced++;
+            } else {
+                codes.push(code);
+            }
+        }
+        if (options.eof !== undefined && options.eof !== null) codes.push(options.eof & 0xFF);
+        return { codes, replaced };
     }
 };
+
+// Export for Node.js (headless runner); browsers use the global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Utils;
+}
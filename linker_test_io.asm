@@ -0,0 +1,22 @@
+// ============================================================================
+// LINKER TEST - I/O module (relocatable, see linker_test_main.asm)
+// ============================================================================
+// PUTS prints the 0-terminated string whose address the caller stores in
+// the word just before the entry point (PUTS-1), then returns
+//
+// Build: node bin/sarba.js -o linker_test_io.obj linker_test_io.asm
+// ============================================================================
+
+        EXPORT PUTS
+ARG,    HEX 0           // Address of the string, set by the caller
+PUTS,   HEX 0           // Return address
+LOOP,   LDA ARG I       // Next character
+        SZA             // 0 ends the string
+        BUN PUT
+        BUN PUTS I      // Return
+PUT,    SKO             // Wait until the teleprinter is ready
+        BUN PUT
+        OUT
+        ISZ ARG
+        BUN LOOP
+        END
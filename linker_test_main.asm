@@ -0,0 +1,28 @@
+// ============================================================================
+// LINKER TEST - Main module
+// ============================================================================
+// Links with linker_test_io.asm and prints two messages through its PUTS
+// routine. PUTS takes the string address in the word before its entry, so
+// this module refers to PUTS-1: an external minus a constant, which only
+// becomes an address once the linker knows where PUTS is
+//
+// Run:  node bin/sarba.js linker_test_main.asm linker_test_io.asm
+//
+// Expected output: Hello, linker!
+// ============================================================================
+
+        EXTERN PUTS
+MAIN,   LDA HELLO       // Address of the first message
+        STA PUTS-1      // Argument slot of PUTS
+        BSA PUTS
+        LDA BYE         // Address of the second message
+        STA ARGP I      // Same slot, through a pointer
+        BSA PUTS
+        HLT
+
+HELLO,  HEX MSG1
+BYE,    HEX MSG2
+ARGP,   HEX PUTS-1
+MSG1,   STRZ "Hello, "
+MSG2,   STRZ "linker!\n"
+        END
@@ -0,0 +1,107 @@
+// ============================================================================
+// TIMER INTERRUPT TEST - Time-slicing between two tasks
+// ============================================================================
+// This program demonstrates a periodic interrupt from the interval timer
+//
+// How it works:
+// 1. Main program masks every interrupt source except the timer (IRQ 2),
+//    so the always-ready teleprinter (FGO=1) does not interrupt
+// 2. Starts the timer in repeat mode: every PERIOD clock cycles it
+//    requests an interrupt
+// 3. Runs task A, which prints 'A' over and over
+// 4. On each timer interrupt the ISR saves the running task's return
+//    address (M[0]), AC and E, acknowledges the timer and returns into the
+//    other task where it was interrupted
+// 5. After SLICES time slices the ISR halts the machine
+//
+// Expected output: runs of A's and B's, one run per time slice
+//
+// Timer registers (see "I/O Devices" in the architecture documentation):
+//   FF4 control (1 = run, 2 = repeat), FF5 period, FF6 count
+//   FFE interrupt pending (write 1 bits to acknowledge), FFF interrupt mask
+// ============================================================================
+
+ORG 100
+// Main Program
+START, LDA TMASK    // Only the timer may interrupt
+STA FFF
+LDA PERIOD          // Cycles per time slice (also loads the count)
+STA FF5
+LDA TRUN            // Run, repeat
+STA FF4
+ION                 // Enable interrupts (IEN = 1)
+
+// Task A - print 'A' forever
+TASKA, LDA CHA
+WAITA, SKO          // Wait until the teleprinter is ready
+BUN WAITA
+OUT
+BUN TASKA
+
+// Task B - print 'B' forever (first entered from the ISR)
+TASKB, LDA CHB
+WAITB, SKO
+BUN WAITB
+OUT
+BUN TASKB
+
+// Interrupt Service Routine
+ISR, STA CURAC      // Save AC of the interrupted task
+CLA
+CIL                 // AC(0) <- E
+STA CURE            // Save E
+
+// Switch tasks: the waiting task runs next, the interrupted one waits
+LDA OTHPC
+STA NEXTPC
+LDA 000             // Return address of the interrupted task
+STA OTHPC
+
+LDA CURAC
+STA TMP
+LDA OTHAC
+STA CURAC
+LDA TMP
+STA OTHAC
+
+LDA CURE
+STA TMP
+LDA OTHE
+STA CURE
+LDA TMP
+STA OTHE
+
+LDA TACK            // Acknowledge the timer interrupt
+STA FFE
+
+ISZ SLICES          // Stop after the last time slice
+BUN RESUME
+HLT
+
+RESUME, LDA CURE    // Restore E and AC of the task being resumed
+CIR                 // E <- AC(0)
+LDA CURAC
+ION                 // Re-enable interrupts
+BUN NEXTPC I        // Continue the other task
+
+// Data
+TMASK, HEX 0004     // IRQ 2 (timer)
+PERIOD, DEC 400     // Clock cycles per time slice
+TRUN, HEX 0003      // Run + repeat
+TACK, HEX 0004      // Acknowledge IRQ 2
+CHA, HEX 41         // 'A'
+CHB, HEX 42         // 'B'
+SLICES, DEC -6      // Number of time slices
+CURAC, HEX 0        // AC of the running task
+CURE, HEX 0         // E of the running task
+NEXTPC, HEX 0       // Where the ISR returns to
+OTHPC, HEX TASKB    // Return address of the waiting task
+OTHAC, HEX 0        // AC of the waiting task
+OTHE, HEX 0         // E of the waiting task
+TMP, HEX 0
+
+ORG 000
+// M[0] holds the return address saved by the interrupt cycle
+RET, HEX 0
+ISRV, BUN ISR       // Interrupt vector at 001
+END
@@ -0,0 +1,136 @@
+// ============================================================================
+// VIDEO DISPLAY TEST - Box, colored title and a moving arrow
+// ============================================================================
+// This program draws on the memory-mapped video display with plain STA
+//
+// How to run:
+// 1. Enable "Video Display" in the Simulator tab (default: E00, 32 x 8)
+// 2. Assemble, pick a clock rate of about 10 kHz and click Run
+//
+// How it works:
+// 1. Every word from E00 on is one character cell, row by row (32 words
+//    per row). The low byte is the character, bits 8-11 the foreground and
+//    bits 12-15 the background color; 0 in the high byte is the default
+//    green on black
+// 2. Draws a box of '-', '|' and '+' around the edge of the screen
+// 3. Copies a string into row 2, adding yellow-on-blue color bits
+// 4. Moves a red '>' along row 5, erasing it behind itself, then halts
+//
+// Expected display:
+//   +------------------------------+
+//   |                              |
+//   |         SARBA VIDEO          |
+//   |                              |
+//   |                              |
+//   |                             >|
+//   |                              |
+//   +------------------------------+
+// ============================================================================
+
+SCREEN EQU 0E00         // Row 0, column 0 (32 words per row)
+ROW1 EQU SCREEN+20
+ROW2 EQU SCREEN+40
+ROW5 EQU SCREEN+0A0
+ROW7 EQU SCREEN+0E0
+
+ORG 100
+// Top and bottom edges
+START, LDA TOPP
+STA P
+LDA BOTP
+STA Q
+LDA NCOLS
+STA CNT
+EDGE, LDA DASH
+STA P I
+STA Q I
+ISZ P
+ISZ Q
+ISZ CNT
+BUN EDGE
+
+// Left and right edges, rows 1-6
+LDA LEFTP
+STA P
+LDA RIGHTP
+STA Q
+LDA NROWS
+STA CNT
+SIDE, LDA BAR
+STA P I
+STA Q I
+LDA P                   // Next row
+ADD ROWLEN
+STA P
+LDA Q
+ADD ROWLEN
+STA Q
+ISZ CNT
+BUN SIDE
+
+// Corners
+LDA PLUS
+STA SCREEN
+STA SCREEN+1F
+STA ROW7
+STA ROW7+1F
+
+// Title, color bits added to each character
+LDA TITLEP
+STA P
+LDA TEXTP
+STA Q
+COPY, LDA Q I
+SZA                     // 0 ends the string
+BUN PUT
+BUN ARROW
+PUT, ADD COLOR
+STA P I
+ISZ P
+ISZ Q
+BUN COPY
+
+// Arrow from column 1 to column 30 of row 5
+ARROW, LDA ARROWP
+STA P
+LDA NSTEPS
+STA CNT
+MOVE, LDA RED
+STA P I
+LDA DELAY
+STA WAIT
+PAUSE, ISZ WAIT
+BUN PAUSE
+CLA                     // Erase
+STA P I
+ISZ P
+ISZ CNT
+BUN MOVE
+LDA RED                 // Last position stays drawn
+STA P I
+HLT
+
+// Data
+TOPP, HEX SCREEN        // Row 0
+BOTP, HEX ROW7          // Row 7
+LEFTP, HEX ROW1         // Row 1, column 0
+RIGHTP, HEX ROW1+1F     // Row 1, column 31
+TITLEP, HEX ROW2+0A     // Row 2, column 10
+ARROWP, HEX ROW5+1      // Row 5, column 1
+TEXTP, HEX TEXT
+NCOLS, DEC -32
+NROWS, DEC -6
+NSTEPS, DEC -29
+DELAY, DEC -100         // Busy-wait iterations per arrow step
+ROWLEN, DEC 32          // Words per row
+DASH, CHR '-'
+BAR, CHR '|'
+PLUS, CHR '+'
+COLOR, HEX 1E00         // Yellow (E) on blue (1)
+RED, HEX 0C3E           // '>' in light red (C)
+P, HEX 0
+Q, HEX 0
+CNT, HEX 0
+WAIT, HEX 0
+TEXT, STRZ "SARBA VIDEO"
+END